@@ -1,112 +1,819 @@
 #!/usr/bin/env node
 
-import fetch from "node-fetch";
 import fs from "fs/promises";
 import * as fsSync from "fs";
 import path from "path";
+import os from "os";
+import crypto from "crypto";
+import { execFile } from "child_process";
+import http from "http";
 import readline from "readline";
 import { program } from "commander";
 import chalk from "chalk";
 import ora from "ora";
 import sharp from "sharp";
+import YAML from "yaml";
+import {
+  Generator,
+  WhiskClient,
+  MockWhiskBackend,
+  RunJournal,
+  PromptTemplate,
+  ASPECT_RATIO_OPTIONS,
+  OUTPUT_FORMATS,
+  OUTPUT_TEMPLATE_TOKENS,
+  DEFAULT_API_BASE_URL,
+  DEFAULT_IMAGE_MODEL,
+  DEFAULT_RETRY_POLICY,
+  HTTP_TRANSPORT,
+  resolveAspectRatio,
+  validateOutputTemplate,
+} from "./lib/index.js";
+
+// Process exit codes for the `generate` command, so scripts can tell outcomes apart
+const EXIT_CODES = {
+  SUCCESS: 0,
+  PARTIAL_FAILURE: 2,
+  RATE_LIMITED: 3,
+  MISCONFIGURED: 4,
+  RUN_ERROR: 5, // The run broke off with an unexpected error
+  INTERRUPTED: 130, // Ctrl+C / SIGTERM, same as a shell's 128 + SIGINT
+};
+
+// Typical time for one Whisk request, used by dry-run duration estimates
+const ESTIMATED_REQUEST_MS = 20 * 1000;
+
+// Most seeds one parameter sweep may list
+const MAX_SWEEP_SEEDS = 100;
+
+// Allowed [min, max] for each config.retry field
+const RETRY_LIMITS = {
+  maxAttempts: [1, 10],
+  baseDelayMs: [0, 60000],
+  maxDelayMs: [0, 300000],
+  timeoutMs: [1000, 600000],
+};
+
+// Upgrades for settings.json, applied in order to files older than `version`.
+// Files written before versioning are version 0.
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description: "named tokens",
+    migrate: (settings) => {
+      if (!Array.isArray(settings.tokens)) return settings;
+      const tokens = settings.tokens.map((token, index) =>
+        typeof token === "string"
+          ? { name: `Token ${index + 1}`, token }
+          : token,
+      );
+      return { ...settings, tokens };
+    },
+  },
+  {
+    version: 2,
+    description: "output formats",
+    migrate: (settings) => {
+      // Before output formats existed, quality 100 meant "save the API bytes as-is"
+      if (!settings.outputFormat && settings.compression === 100) {
+        return { ...settings, outputFormat: "original" };
+      }
+      return settings;
+    },
+  },
+  {
+    version: 3,
+    description: "profiles",
+    migrate: (settings) => ({
+      profiles: {},
+      activeProfile: null,
+      ...settings,
+    }),
+  },
+  {
+    version: 4,
+    description: "API backend",
+    migrate: (settings) => ({
+      apiBaseUrl: DEFAULT_API_BASE_URL,
+      mockBackend: { enabled: false, latencyMs: 800, failures: {} },
+      ...settings,
+    }),
+  },
+  {
+    version: 5,
+    description: "prompt templates",
+    migrate: (settings) => ({
+      // Opt-in: existing prompt files may contain literal braces
+      promptTemplates: { mode: "off", samples: 10, variablesFile: null },
+      ...settings,
+    }),
+  },
+  {
+    version: 6,
+    description: "parameter sweep",
+    migrate: (settings) => ({
+      sweep: {
+        enabled: false,
+        aspectRatios: [],
+        imageModels: [],
+        seeds: [],
+        images: 1,
+      },
+      ...settings,
+    }),
+  },
+];
+const SETTINGS_VERSION = SETTINGS_MIGRATIONS.at(-1).version;
+
+// Settings bundled by a profile. Profiles also keep `tokens`, the names of the
+// tokens they use (empty means all tokens).
+const PROFILE_KEYS = [
+  "outputDir",
+  "aspectRatio",
+  "aspectRatioDisplay",
+  "randomAspectRatio",
+  "compression",
+  "workers",
+  "requestDelay",
+  "promptFile",
+];
+
+// Encrypts saved tokens with AES-256-GCM. The key is derived from the
+// WHISK_PASSPHRASE passphrase, or kept in the OS keyring (macOS Keychain,
+// libsecret on Linux) with a key file in the home directory as fallback.
+class TokenVault {
+  static KEYRING_SERVICE = "whisk-generator";
+  static KEY_FILE = path.join(
+    os.homedir(),
+    ".config",
+    "whisk-generator",
+    "token.key",
+  );
+  static CHECK_TEXT = "whisk-token-vault";
+
+  // info is the { source, salt, check } block stored in settings.json
+  constructor(info = null) {
+    this.source = info?.source ?? null;
+    this.salt = info?.salt ?? null;
+    this.check = info?.check ?? null;
+    this.key = null;
+  }
 
-class WhiskClient {
-  constructor(authorizationKey) {
-    this.credentials = { authorizationKey };
+  toJSON() {
+    return { source: this.source, salt: this.salt, check: this.check };
   }
 
-  async checkCredentials() {
-    if (!this.credentials.authorizationKey) {
-      throw new Error("Missing authorization key");
+  // askPassphrase is only used when the key is passphrase-based and
+  // WHISK_PASSPHRASE is not set
+  async unlock(askPassphrase) {
+    if (this.key) return;
+
+    if (!this.source) {
+      this.source = process.env.WHISK_PASSPHRASE
+        ? "passphrase"
+        : ((await this.readKeyring().then(
+            () => "keyring",
+            () => null,
+          )) ?? "file");
+    }
+
+    if (this.source === "passphrase") {
+      const passphrase =
+        process.env.WHISK_PASSPHRASE || (await askPassphrase?.());
+      if (!passphrase) {
+        throw new Error(
+          "Tokens are protected by a passphrase. Set WHISK_PASSPHRASE.",
+        );
+      }
+      this.salt ??= crypto.randomBytes(16).toString("base64");
+      this.key = crypto.scryptSync(passphrase, this.salt, 32);
+    } else if (this.source === "keyring") {
+      let stored = await this.readKeyring();
+      if (!stored) {
+        stored = crypto.randomBytes(32).toString("base64");
+        // secret-tool can be installed without a D-Bus session to store into
+        await this.writeKeyring(stored).catch(() => {
+          this.source = "file";
+          stored = null;
+        });
+      }
+      if (stored) this.key = Buffer.from(stored, "base64");
+    }
+    if (this.source === "file") {
+      this.key = await this.readKeyFile();
+    }
+
+    // Catches a wrong passphrase before anything is encrypted with it
+    if (this.check) {
+      try {
+        this.decrypt(this.check);
+      } catch {
+        this.key = null;
+        throw new Error(
+          `Wrong ${this.source === "passphrase" ? "passphrase" : "encryption key"}, saved tokens cannot be decrypted`,
+        );
+      }
+    } else {
+      this.check = this.encrypt(TokenVault.CHECK_TEXT);
     }
   }
 
-  async getNewProjectId(name) {
-    // Return a timestamp-based ID for demo
-    return { Ok: `project_${Date.now()}` };
+  encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.key, iv);
+    const data = Buffer.concat([cipher.update(text, "utf-8"), cipher.final()]);
+    return ["v1", iv, cipher.getAuthTag(), data]
+      .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+      .join(":");
   }
 
-  async generateImage(prompt) {
-    await this.checkCredentials();
+  decrypt(blob) {
+    const [version, iv, tag, data] = blob.split(":");
+    if (version !== "v1") throw new Error(`Unknown token format "${version}"`);
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.key,
+      Buffer.from(iv, "base64"),
+    );
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(data, "base64")),
+      decipher.final(),
+    ]).toString("utf-8");
+  }
 
-    if (!prompt || !prompt.prompt) {
-      return {
-        Err: new Error("Invalid prompt. Please provide a valid prompt"),
-      };
+  // Resolves with the stored key or null; rejects when there is no usable keyring
+  readKeyring() {
+    const commands = {
+      darwin: [
+        "security",
+        [
+          "find-generic-password",
+          "-s",
+          TokenVault.KEYRING_SERVICE,
+          "-a",
+          "token-key",
+          "-w",
+        ],
+      ],
+      linux: [
+        "secret-tool",
+        [
+          "lookup",
+          "service",
+          TokenVault.KEYRING_SERVICE,
+          "account",
+          "token-key",
+        ],
+      ],
+    };
+    const command = commands[process.platform];
+    if (!command) return Promise.reject(new Error("No supported keyring"));
+
+    return new Promise((resolve, reject) => {
+      execFile(...command, { timeout: 5000 }, (error, stdout) => {
+        // Both tools exit non-zero when the entry does not exist yet
+        if (error?.code === "ENOENT" || error?.killed) reject(error);
+        else resolve(error ? null : stdout.trim() || null);
+      });
+    });
+  }
+
+  writeKeyring(value) {
+    const command =
+      process.platform === "darwin"
+        ? [
+            "security",
+            [
+              "add-generic-password",
+              "-U",
+              "-s",
+              TokenVault.KEYRING_SERVICE,
+              "-a",
+              "token-key",
+              "-w",
+              value,
+            ],
+          ]
+        : [
+            "secret-tool",
+            [
+              "store",
+              "--label=Whisk token key",
+              "service",
+              TokenVault.KEYRING_SERVICE,
+              "account",
+              "token-key",
+            ],
+          ];
+
+    return new Promise((resolve, reject) => {
+      const child = execFile(...command, { timeout: 5000 }, (error) =>
+        error ? reject(error) : resolve(),
+      );
+      // secret-tool reads the secret from stdin
+      child.stdin.end(value);
+    });
+  }
+
+  async readKeyFile() {
+    try {
+      return Buffer.from(
+        (await fs.readFile(TokenVault.KEY_FILE, "utf-8")).trim(),
+        "base64",
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      const key = crypto.randomBytes(32);
+      await fs.mkdir(path.dirname(TokenVault.KEY_FILE), { recursive: true });
+      await fs.writeFile(TokenVault.KEY_FILE, key.toString("base64"), {
+        mode: 0o600,
+      });
+      return key;
     }
+  }
+}
+
+// HTTP front end for generation jobs. Jobs run one at a time on the app's
+// tokens, each into its own folder of the output directory. Every request
+// needs the shared secret in the X-Whisk-Secret header; responses never
+// contain token values.
+class JobServer {
+  static SECRET_HEADER = "x-whisk-secret";
+  static MAX_BODY_BYTES = 1024 * 1024;
+  // Finished jobs kept for GET /jobs; older ones are forgotten (their images stay on disk)
+  static MAX_FINISHED_JOBS = 100;
+  // Per-job settings a client may choose; everything else comes from settings.json
+  static JOB_SETTINGS = [
+    "aspectRatio",
+    "outputFormat",
+    "compression",
+    "workers",
+    "requestDelay",
+    "outputTemplate",
+    "tokens",
+  ];
+  static CONTENT_TYPES = {
+    ".jpg": "image/jpeg",
+    ".png": "image/png",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+    ".json": "application/json",
+  };
+
+  constructor(app, { secret }) {
+    this.app = app;
+    this.secret = Buffer.from(secret);
+    this.jobs = new Map(); // id -> job, in submission order
+    this.activeJob = null;
+    this.subscribers = new Set(); // { res, jobId } of open event streams
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        console.log(chalk.red(`❌ ${req.method} ${req.url}: ${error.message}`));
+        if (!res.headersSent) this.reply(res, 500, { error: "Internal error" });
+        else res.end();
+      });
+    });
+  }
+
+  listen(port, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server));
+    });
+  }
 
-    if (!prompt.projectId) {
-      const id = await this.getNewProjectId("New Project");
-      if (id.Err || !id.Ok) return { Err: id.Err };
-      prompt.projectId = id.Ok;
+  // Cancels the running job and waits for it, then stops accepting requests
+  async close() {
+    for (const job of this.jobs.values()) {
+      if (job.state === "queued") this.cancelJob(job);
     }
+    if (this.activeJob) {
+      this.cancelJob(this.activeJob);
+      await this.activeJob.finished;
+    }
+    for (const { res } of this.subscribers) res.end();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
 
-    if (prompt.seed == undefined) {
-      prompt.seed = Math.floor(Math.random() * 1000000);
+  async handle(req, res) {
+    const provided = Buffer.from(
+      String(req.headers[JobServer.SECRET_HEADER] ?? ""),
+    );
+    if (
+      provided.length !== this.secret.length ||
+      !crypto.timingSafeEqual(provided, this.secret)
+    ) {
+      return this.reply(res, 401, { error: "Missing or wrong X-Whisk-Secret" });
     }
 
-    if (!prompt.imageModel) {
-      prompt.imageModel = "IMAGEN_3_5";
+    const url = new URL(req.url, "http://localhost");
+    let segments;
+    try {
+      segments = url.pathname
+        .split("/")
+        .filter(Boolean)
+        .map(decodeURIComponent);
+    } catch {
+      return this.reply(res, 400, { error: "Malformed URL" });
+    }
+    const [resource, jobId, action, ...rest] = segments;
+    const route = `${req.method} /${[resource, jobId && ":id", action]
+      .filter(Boolean)
+      .join("/")}`;
+
+    if (route === "GET /events") return this.streamEvents(req, res, null);
+    if (resource !== "jobs")
+      return this.reply(res, 404, { error: "Not found" });
+    if (route === "GET /jobs") {
+      return this.reply(res, 200, {
+        jobs: [...this.jobs.values()].map((job) => this.describeJob(job)),
+      });
     }
+    if (route === "POST /jobs") return this.submitJob(req, res);
+
+    const job = this.jobs.get(jobId);
+    if (!job) return this.reply(res, 404, { error: `Unknown job: ${jobId}` });
 
-    if (!prompt.aspectRatio) {
-      prompt.aspectRatio = "IMAGE_ASPECT_RATIO_LANDSCAPE";
+    switch (route) {
+      case "GET /jobs/:id":
+        return this.reply(res, 200, this.describeJob(job, { prompts: true }));
+      case "POST /jobs/:id/cancel":
+        if (!this.cancelJob(job)) {
+          return this.reply(res, 409, { error: `Job is already ${job.state}` });
+        }
+        return this.reply(res, 202, this.describeJob(job));
+      case "GET /jobs/:id/events":
+        return this.streamEvents(req, res, job.id);
+      case "GET /jobs/:id/images":
+        if (rest.length > 0) return this.sendImage(res, job, rest.join("/"));
+        return this.reply(res, 200, { images: job.images });
+      default:
+        return this.reply(res, 405, { error: `Unsupported: ${route}` });
     }
+  }
 
-    const reqJson = {
-      clientContext: {
-        workflowId: prompt.projectId,
-        tool: "BACKBONE",
-        sessionId: `;${Date.now()}`,
-      },
-      imageModelSettings: {
-        imageModel: prompt.imageModel,
-        aspectRatio: prompt.aspectRatio,
-      },
-      seed: prompt.seed,
-      prompt: prompt.prompt,
-      mediaCategory: "MEDIA_CATEGORY_BOARD",
+  reply(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body, null, 2) + "\n");
+  }
+
+  async readJsonBody(req) {
+    let body = "";
+    for await (const chunk of req) {
+      body += chunk;
+      if (body.length > JobServer.MAX_BODY_BYTES) {
+        throw new Error("Request body is too large");
+      }
+    }
+    try {
+      return JSON.parse(body || "{}");
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  // Body: { prompts: [string | prompt entry], settings: { ...JOB_SETTINGS } }
+  async submitJob(req, res) {
+    let job;
+    try {
+      const body = await this.readJsonBody(req);
+      job = this.createJob(body);
+    } catch (error) {
+      return this.reply(res, 400, { error: error.message });
+    }
+
+    this.pruneFinishedJobs();
+    this.jobs.set(job.id, job);
+    console.log(
+      chalk.cyan(`📥 Job ${job.id} queued (${job.prompts.length} prompts)`),
+    );
+    this.publish(job, "queued", { prompts: job.prompts.length });
+    this.reply(res, 201, this.describeJob(job, { prompts: true }));
+    this.runQueuedJobs();
+  }
+
+  createJob(body) {
+    if (typeof body !== "object" || body === null || Array.isArray(body)) {
+      throw new Error("Body must be a JSON object");
+    }
+    const { prompts, settings = {} } = body;
+    if (!Array.isArray(prompts) || prompts.length === 0) {
+      throw new Error('"prompts" must be a non-empty list');
+    }
+    const entries = prompts.map((item, index) => ({
+      ...this.app.normalizePromptEntry(item, `prompt ${index + 1}`),
+      jobIndex: index,
+    }));
+
+    const id = `job_${crypto.randomBytes(4).toString("hex")}`;
+    return {
+      id,
+      state: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      settings,
+      config: this.resolveJobConfig(settings),
+      clients: this.resolveJobClients(settings.tokens),
+      outputDir: path.join(this.app.config.outputDir, id),
+      entries,
+      prompts: entries.map((entry) => ({
+        index: entry.jobIndex,
+        prompt: entry.prompt,
+        ...(entry.id !== undefined && { id: entry.id }),
+        state: "pending",
+        files: [],
+        error: null,
+      })),
+      images: [], // Saved files, relative to the job's output directory
+      summary: null,
+      generator: null,
+      finished: null, // Promise of the run, while it runs
     };
+  }
 
-    const req = {
-      method: "POST",
-      body: JSON.stringify(reqJson),
-      url: "https://aisandbox-pa.googleapis.com/v1/whisk:generateImage",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${String(this.credentials.authorizationKey)}`,
-      },
+  // Checks per-job settings and turns them into Generator config
+  resolveJobConfig(settings) {
+    if (
+      typeof settings !== "object" ||
+      settings === null ||
+      Array.isArray(settings)
+    ) {
+      throw new Error('"settings" must be an object');
+    }
+    const unknownKeys = Object.keys(settings).filter(
+      (key) => !JobServer.JOB_SETTINGS.includes(key),
+    );
+    if (unknownKeys.length > 0) {
+      throw new Error(
+        `Unknown setting(s) ${unknownKeys.join(", ")}. Use ${JobServer.JOB_SETTINGS.join(", ")}`,
+      );
+    }
+
+    const config = {};
+    const integerIn = (key, min, max) => {
+      if (settings[key] === undefined) return;
+      if (
+        !Number.isInteger(settings[key]) ||
+        settings[key] < min ||
+        settings[key] > max
+      ) {
+        throw new Error(`"${key}" must be an integer from ${min} to ${max}`);
+      }
+      config[key] = settings[key];
     };
+    integerIn("compression", 1, 100);
+    integerIn("workers", 1, 10);
+    integerIn("requestDelay", 0, 60000);
+
+    if (settings.aspectRatio === "random") {
+      config.randomAspectRatio = true;
+    } else if (settings.aspectRatio !== undefined) {
+      const aspect = resolveAspectRatio(settings.aspectRatio);
+      if (!aspect) {
+        throw new Error(
+          `"aspectRatio" must be random or one of ${Object.keys(ASPECT_RATIO_OPTIONS).join(", ")}`,
+        );
+      }
+      Object.assign(config, {
+        aspectRatio: aspect.code,
+        aspectRatioDisplay: aspect.display,
+        randomAspectRatio: false,
+      });
+    }
+    if (settings.outputFormat !== undefined) {
+      if (!OUTPUT_FORMATS[settings.outputFormat]) {
+        throw new Error(
+          `"outputFormat" must be one of ${Object.keys(OUTPUT_FORMATS).join(", ")}`,
+        );
+      }
+      config.outputFormat = settings.outputFormat;
+    }
+    if (settings.outputTemplate !== undefined) {
+      const error =
+        typeof settings.outputTemplate === "string"
+          ? validateOutputTemplate(settings.outputTemplate)
+          : '"outputTemplate" must be a string';
+      if (error) throw new Error(error);
+      config.outputTemplate = settings.outputTemplate;
+    }
+    return config;
+  }
+
+  // Token names of the job, or all tokens; only names ever leave the server
+  resolveJobClients(tokenNames) {
+    if (tokenNames === undefined) return this.app.clients;
+    if (
+      !Array.isArray(tokenNames) ||
+      tokenNames.some((name) => typeof name !== "string")
+    ) {
+      throw new Error('"tokens" must be a list of token names');
+    }
+    const unknownNames = tokenNames.filter(
+      (name) => !this.app.clients.some((client) => client.name === name),
+    );
+    if (unknownNames.length > 0) {
+      throw new Error(`Unknown token(s): ${unknownNames.join(", ")}`);
+    }
+    return this.app.clients.filter((client) =>
+      tokenNames.includes(client.name),
+    );
+  }
 
-    const resp = await this.request(req);
-    if (resp.Err || !resp.Ok) {
-      return { Err: resp.Err };
+  // Queued jobs run in submission order; they share the same tokens
+  async runQueuedJobs() {
+    if (this.activeJob) return;
+    let job;
+    while ((job = [...this.jobs.values()].find((j) => j.state === "queued"))) {
+      this.activeJob = job;
+      job.finished = this.runJob(job);
+      await job.finished;
+      this.activeJob = null;
+    }
+  }
+
+  pruneFinishedJobs() {
+    const finished = [...this.jobs.values()].filter(
+      (job) => job.finishedAt !== null,
+    );
+    for (const job of finished.slice(0, -JobServer.MAX_FINISHED_JOBS)) {
+      this.jobs.delete(job.id);
     }
+  }
+
+  async runJob(job) {
+    const generator = new Generator({
+      clients: job.clients,
+      config: {
+        ...this.app.config,
+        ...job.config,
+        outputDir: job.outputDir,
+        // Jobs have no prompt file to remove prompts from
+        promptFile: null,
+        removeCompletedPrompts: false,
+      },
+    });
+    job.generator = generator;
+    this.trackJobProgress(job, generator);
+
+    job.state = "running";
+    job.startedAt = new Date().toISOString();
+    console.log(chalk.blue(`▶️  Job ${job.id} started`));
+    this.publish(job, "started");
 
     try {
-      const parsedResp = JSON.parse(resp.Ok);
-      if (parsedResp.error) {
-        return { Err: new Error("Failed to generate image: " + resp.Ok) };
+      const results = await generator.run(job.entries);
+      job.state = results.interrupted ? "cancelled" : "done";
+      job.summary = {
+        succeeded: results.succeeded,
+        failed: results.failed,
+        durationMs: results.durationMs,
+      };
+    } catch (error) {
+      job.state = "failed";
+      job.summary = { error: error.message };
+    } finally {
+      job.generator = null;
+      job.finishedAt = new Date().toISOString();
+      for (const prompt of job.prompts) {
+        if (prompt.state === "pending" || prompt.state === "running") {
+          prompt.state = "cancelled";
+        }
       }
-      return { Ok: parsedResp };
-    } catch (err) {
-      return { Err: new Error("Failed to parse response: " + resp.Ok) };
+      await this.app.saveTokenHealth();
     }
+
+    console.log(
+      job.state === "done"
+        ? chalk.green(
+            `✅ Job ${job.id} done: ${job.summary.succeeded} image(s), ${job.summary.failed} failed prompt(s)`,
+          )
+        : chalk.yellow(`⏹️  Job ${job.id} ${job.state}`),
+    );
+    this.publish(job, job.state, job.summary);
   }
 
-  async request(req) {
-    const response = await fetch(req.url, {
-      method: req.method,
-      headers: req.headers,
-      body: req.body,
+  trackJobProgress(job, generator) {
+    const promptOf = ({ entry }) => job.prompts[entry.jobIndex];
+
+    generator.on("promptStart", (event) => {
+      Object.assign(promptOf(event), { state: "running", error: null });
+      this.publish(job, "promptStart", {
+        index: event.entry.jobIndex,
+        worker: event.worker,
+      });
+    });
+    generator.on("imageSaved", (event) => {
+      const file = path
+        .relative(job.outputDir, event.filePath)
+        .split(path.sep)
+        .join("/");
+      promptOf(event).files.push(file);
+      job.images.push({ file, prompt: event.entry.jobIndex, size: event.size });
+      this.publish(job, "imageSaved", {
+        index: event.entry.jobIndex,
+        file,
+        size: event.size,
+      });
+    });
+    generator.on("promptDone", (event) => {
+      promptOf(event).state = "done";
+      this.publish(job, "promptDone", {
+        index: event.entry.jobIndex,
+        token: event.token,
+      });
+    });
+    generator.on("promptFailed", (event) => {
+      Object.assign(promptOf(event), {
+        state: "failed",
+        error: event.failure.error,
+      });
+      this.publish(job, "promptFailed", {
+        index: event.entry.jobIndex,
+        error: event.failure.error,
+      });
     });
+  }
+
+  // Queued jobs are dropped right away, a running one stops after in-flight work
+  cancelJob(job) {
+    if (job.state === "queued") {
+      job.state = "cancelled";
+      job.finishedAt = new Date().toISOString();
+      for (const prompt of job.prompts) prompt.state = "cancelled";
+      this.publish(job, "cancelled");
+      return true;
+    }
+    if (job.state === "running") {
+      job.generator?.stop();
+      return true;
+    }
+    return false;
+  }
+
+  // Public view of a job; clients, config and the generator stay internal
+  describeJob(job, { prompts = false } = {}) {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    for (const prompt of job.prompts) counts[prompt.state]++;
+    return {
+      id: job.id,
+      state: job.state,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      settings: job.settings,
+      counts,
+      images: job.images.length,
+      summary: job.summary,
+      ...(prompts && { prompts: job.prompts }),
+    };
+  }
 
-    if (!response.ok) {
-      return { Err: new Error(`HTTP error! status: ${response.status}`) };
+  async sendImage(res, job, file) {
+    // Only files inside the job's folder can be downloaded
+    const filePath = path.resolve(job.outputDir, file);
+    if (!filePath.startsWith(path.resolve(job.outputDir) + path.sep)) {
+      return this.reply(res, 400, { error: "Invalid file name" });
+    }
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch {
+      return this.reply(res, 404, { error: `Unknown file: ${file}` });
     }
 
-    const data = await response.text();
-    return { Ok: data };
+    res.writeHead(200, {
+      "Content-Type":
+        JobServer.CONTENT_TYPES[path.extname(filePath).toLowerCase()] ??
+        "application/octet-stream",
+      "Content-Length": stats.size,
+    });
+    fsSync.createReadStream(filePath).pipe(res);
+  }
+
+  // Server-Sent Events of one job (jobId) or of all jobs (null)
+  streamEvents(req, res, jobId) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(": connected\n\n");
+    const subscriber = { res, jobId };
+    this.subscribers.add(subscriber);
+    req.on("close", () => this.subscribers.delete(subscriber));
+  }
+
+  publish(job, event, data = {}) {
+    const message = `event: ${event}\ndata: ${JSON.stringify({
+      job: job.id,
+      time: new Date().toISOString(),
+      ...data,
+    })}\n\n`;
+    for (const { res, jobId } of this.subscribers) {
+      if (jobId === null || jobId === job.id) res.write(message);
+    }
   }
 }
 
@@ -114,7 +821,7 @@ class WhiskTerminalApp {
   constructor() {
     this.settingsFile = "./settings.json";
     this.config = {
-      tokens: [], // Stores objects with { name, token } instead of just token strings
+      tokens: [], // { name, token, source, health }; saved encrypted, see getSettingsForDisk()
       outputDir: "./generated-images",
       aspectRatio: "IMAGE_ASPECT_RATIO_LANDSCAPE",
       aspectRatioDisplay: "landscape (16:9)",
@@ -123,871 +830,3107 @@ class WhiskTerminalApp {
       workers: 1,
       promptFile: null,
       requestDelay: 1000,
+      removeCompletedPrompts: false, // Opt-in: progress is tracked in the run journal
+      outputTemplate: "w{worker}_{timestamp}_{aspect}_{index}.{ext}",
+      outputFormat: "jpeg", // See OUTPUT_FORMATS
+      formatOptions: { effort: 4, chromaSubsampling: "4:2:0" },
+      postProcessing: [], // Ordered steps, see validatePostProcessing()
+      retry: { ...DEFAULT_RETRY_POLICY },
+      profiles: {}, // name -> PROFILE_KEYS values and token names
+      activeProfile: null,
+      apiBaseUrl: DEFAULT_API_BASE_URL,
+      // Answers requests with placeholder images instead of calling the API
+      mockBackend: { enabled: false, latencyMs: 800, failures: {} },
+      promptTemplates: { mode: "off", samples: 10, variablesFile: null }, // See PromptTemplate
+      // Generates each prompt once per combination, see expandSweep()
+      sweep: {
+        enabled: false,
+        aspectRatios: [],
+        imageModels: [],
+        seeds: [],
+        images: 1,
+      },
     };
+    this.journalDir = "./.whisk-run";
+    this.failedPromptsFile = "./.whisk-run/failed-prompts.json";
+    this.generator = null; // Set while a generation run is in progress
+    this.vault = new TokenVault();
+    this.tokensLocked = false; // Saved tokens could not be decrypted
+    // Set by --profile: the active profile and top-level PROFILE_KEYS values
+    // to keep in settings.json meanwhile, { saved, values }
+    this.sessionProfile = null;
+    this.mockSession = false; // --mock: use the mock backend without saving it
     this.clients = [];
-    this.currentTokenIndex = 0;
+    // When false (CLI subcommands), skip screen clearing and "Press Enter" pauses
+    this.interactive = true;
+    // When true, stdout carries only NDJSON progress events (see emitEvent)
+    this.headless = false;
   }
 
   async autoLoadSettings() {
     try {
       const data = await fs.readFile(this.settingsFile, "utf-8");
-      const savedSettings = JSON.parse(data);
+      await this.applySavedSettings(data);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        console.log(
+          chalk.yellow(
+            `⚠️  No settings found, using defaults. Will create ${this.settingsFile} on first save.`,
+          ),
+        );
+      } else {
+        console.log(
+          chalk.red(
+            `❌ Could not read ${this.settingsFile}: ${error.message}. Using defaults.`,
+          ),
+        );
+      }
+    }
 
-      // Merge saved settings with defaults
-      this.config = {
-        ...this.config,
-        ...savedSettings,
-      };
+    this.addEnvironmentTokens();
+    this.initializeClients();
+  }
 
-      // Migrate old token format (simple strings) to new format (objects with name and token)
+  // Parses, migrates and validates settings.json. Anything that cannot be
+  // used as-is is backed up first, so the next save never loses it silently.
+  async applySavedSettings(data) {
+    let savedSettings;
+    try {
+      savedSettings = JSON.parse(data);
       if (
-        this.config.tokens.length > 0 &&
-        typeof this.config.tokens[0] === "string"
+        typeof savedSettings !== "object" ||
+        savedSettings === null ||
+        Array.isArray(savedSettings)
       ) {
-        console.log(chalk.blue("Migrating tokens to named format..."));
-        this.config.tokens = this.config.tokens.map((token, index) => ({
-          name: `Token ${index + 1}`,
-          token: token,
-        }));
-        // Will auto-save after migration
-        await this.autoSaveSettings();
+        throw new Error("expected a JSON object");
       }
-
-      // Initialize clients
-      this.initializeClients();
-
-      console.log(
-        chalk.green(`✓ Settings auto-loaded from ${this.settingsFile}`),
-      );
     } catch (error) {
+      const backupFile = await this.backupSettingsFile("corrupt");
       console.log(
-        chalk.yellow(
-          `⚠️  No settings found, using defaults. Will create ${this.settingsFile} on first save.`,
+        chalk.red(
+          `❌ ${this.settingsFile} is corrupt (${error.message}). Using defaults.`,
         ),
       );
-    }
-  }
-
-  async autoSaveSettings() {
-    try {
-      await fs.writeFile(
-        this.settingsFile,
-        JSON.stringify(this.config, null, 2),
-      );
-      console.log(chalk.gray(`💾 Settings auto-saved to ${this.settingsFile}`));
-    } catch (error) {
       console.log(
-        chalk.red(`❌ Failed to auto-save settings: ${error.message}`),
+        chalk.yellow(`📦 The unreadable file was kept as ${backupFile}`),
       );
+      return;
     }
-  }
-
-  initializeClients() {
-    this.clients = this.config.tokens.map((tokenObj) => {
-      // Handle both old format (string) and new format (object)
-      if (typeof tokenObj === "string") {
-        const client = new WhiskClient(tokenObj);
-        client.name = `Unnamed Token`;
-        return client;
-      } else {
-        // Create client with the token value
-        const client = new WhiskClient(tokenObj.token);
-        // Add the name to the client for reference
-        client.name = tokenObj.name;
-        return client;
-      }
-    });
-    this.currentTokenIndex = 0;
-  }
-
-  getNextClient() {
-    if (this.clients.length === 0) return null;
-
-    const client = this.clients[this.currentTokenIndex];
-    this.currentTokenIndex = (this.currentTokenIndex + 1) % this.clients.length;
-
-    // Ensure the client has a name property
-    if (!client.name) {
-      client.name = `Token ${this.currentTokenIndex + 1}`;
-    }
-
-    return client;
-  }
 
-  async ensureOutputDir() {
-    try {
-      await fs.access(this.config.outputDir);
-    } catch {
-      await fs.mkdir(this.config.outputDir, { recursive: true });
+    let { version = 0, ...settings } = savedSettings;
+    if (!Number.isInteger(version) || version < 0) {
       console.log(
-        chalk.green(`📁 Created output directory: ${this.config.outputDir}`),
+        chalk.red(`❌ Invalid settings version "${version}", assuming 0`),
       );
+      version = 0;
     }
-  }
-
-  async loadPromptsFromFile(filePath) {
-    try {
-      // Check if file exists first
-      await fs.access(filePath);
-
-      const content = await fs.readFile(filePath, "utf-8");
-      const prompts = content
-        .split("\n")
-        .map((line) => line.trim())
-        .filter((line) => line.length > 0 && !line.startsWith("#"));
 
-      this.config.promptFile = filePath;
+    if (version > SETTINGS_VERSION) {
+      const backupFile = await this.backupSettingsFile(`v${version}`);
       console.log(
-        chalk.green(
-          `✓ Successfully loaded ${prompts.length} prompts from ${filePath}`,
+        chalk.yellow(
+          `⚠️  ${this.settingsFile} was written by a newer version (v${version}). A copy was kept as ${backupFile}`,
         ),
       );
-      return prompts;
-    } catch (error) {
-      if (error.code === "ENOENT") {
-        throw new Error(`File not found: ${filePath}`);
+    }
+
+    const pending = SETTINGS_MIGRATIONS.filter((m) => m.version > version);
+    if (pending.length > 0) {
+      const backupFile = await this.backupSettingsFile(`v${version}`);
+      for (const migration of pending) {
+        settings = migration.migrate(settings);
+        console.log(
+          chalk.blue(
+            `🔄 Migrated settings to v${migration.version} (${migration.description})`,
+          ),
+        );
       }
-      throw new Error(`Failed to load prompts file: ${error.message}`);
+      console.log(chalk.gray(`   Previous settings kept as ${backupFile}`));
     }
-  }
 
-  async removePromptFromFile(filePath, promptToRemove) {
-    try {
-      const content = await fs.readFile(filePath, "utf-8");
-      const lines = content.split("\n");
-      const filteredLines = lines.filter(
-        (line) => line.trim() !== promptToRemove.trim() || line.startsWith("#"),
-      );
-      await fs.writeFile(filePath, filteredLines.join("\n"));
-      return true;
-    } catch (error) {
+    const errors = this.validateSettings(settings);
+    if (errors.length > 0) {
+      const backupFile = await this.backupSettingsFile("invalid");
       console.log(
-        chalk.yellow(
-          `⚠️  Warning: Could not remove prompt from file: ${error.message}`,
+        chalk.red(
+          `❌ ${this.settingsFile} has ${errors.length} invalid setting(s), using defaults for them:`,
         ),
       );
-      return false;
-    }
-  }
-
-  async compressImage(inputBuffer, quality) {
-    try {
-      return await sharp(inputBuffer).jpeg({ quality }).toBuffer();
-    } catch (error) {
+      for (const { key, message } of errors) {
+        console.log(chalk.red(`   • ${key}: ${message}`));
+        delete settings[key];
+      }
       console.log(
-        chalk.yellow(`⚠️  Warning: Could not compress image: ${error.message}`),
+        chalk.yellow(`📦 The original file was kept as ${backupFile}`),
       );
-      return inputBuffer;
     }
-  }
 
-  async saveImage(imageData, fileName, compress = false) {
-    try {
-      await this.ensureOutputDir();
-
-      const buffer = Buffer.from(imageData, "base64");
-      const finalBuffer = compress
-        ? await this.compressImage(buffer, this.config.compression)
-        : buffer;
+    // Merge saved settings with defaults
+    this.config = {
+      ...this.config,
+      ...settings,
+      formatOptions: {
+        ...this.config.formatOptions,
+        ...settings.formatOptions,
+      },
+      retry: { ...this.config.retry, ...settings.retry },
+      mockBackend: { ...this.config.mockBackend, ...settings.mockBackend },
+      promptTemplates: {
+        ...this.config.promptTemplates,
+        ...settings.promptTemplates,
+      },
+      sweep: { ...this.config.sweep, ...settings.sweep },
+    };
+    // The active profile's values win over the top-level ones
+    if (this.config.activeProfile) this.applyProfile(this.config.activeProfile);
 
-      const filePath = path.join(this.config.outputDir, fileName);
-      await fs.writeFile(filePath, finalBuffer);
+    await this.unlockSavedTokens();
+    if (pending.length > 0) await this.autoSaveSettings();
 
-      const stats = await fs.stat(filePath);
-      const sizeKB = (stats.size / 1024).toFixed(1);
+    console.log(
+      chalk.green(`✓ Settings auto-loaded from ${this.settingsFile}`),
+    );
+  }
 
-      console.log(chalk.green(`✓ Saved: ${fileName} (${sizeKB}KB)`));
-      return filePath;
-    } catch (error) {
-      throw new Error(`Failed to save image: ${error.message}`);
-    }
+  // Copies settings.json to settings.json.<label>-<timestamp>.bak
+  async backupSettingsFile(label) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const backupFile = `${this.settingsFile}.${label}-${stamp}.bak`;
+    await fs.copyFile(this.settingsFile, backupFile);
+    return backupFile;
   }
 
-  getAspectRatioOptions() {
-    return {
-      "landscape-16:9": {
-        code: "IMAGE_ASPECT_RATIO_LANDSCAPE",
-        display: "landscape (16:9)",
-        description: "Standard widescreen landscape",
+  // One check per setting: returns an error message, or null when valid
+  getSettingsSchema() {
+    const isObject = (value) =>
+      typeof value === "object" && value !== null && !Array.isArray(value);
+    const integerIn = (min, max) => (value) =>
+      Number.isInteger(value) && value >= min && value <= max
+        ? null
+        : `must be a whole number between ${min} and ${max}`;
+    const boolean = (value) =>
+      typeof value === "boolean" ? null : "must be true or false";
+    const oneOf = (allowed) => (value) =>
+      allowed.includes(value) ? null : `must be one of ${allowed.join(", ")}`;
+    const text = (value) =>
+      typeof value === "string" && value.trim() !== ""
+        ? null
+        : "must be a non-empty string";
+
+    const schema = {
+      tokens: (value) => {
+        if (!Array.isArray(value)) return "must be a list of tokens";
+        const index = value.findIndex(
+          (t) =>
+            !isObject(t) ||
+            typeof t.name !== "string" ||
+            typeof (t.encrypted ?? t.token) !== "string",
+        );
+        return index === -1
+          ? null
+          : `entry ${index + 1} needs a name and a token`;
+      },
+      outputDir: text,
+      aspectRatio: oneOf(
+        Object.values(ASPECT_RATIO_OPTIONS).map((o) => o.code),
+      ),
+      aspectRatioDisplay: text,
+      randomAspectRatio: boolean,
+      compression: integerIn(1, 100),
+      workers: integerIn(1, 10),
+      promptFile: (value) =>
+        value === null || typeof value === "string"
+          ? null
+          : "must be a file path or null",
+      requestDelay: integerIn(0, 10000),
+      removeCompletedPrompts: boolean,
+      outputTemplate: (value) =>
+        typeof value === "string"
+          ? validateOutputTemplate(value)
+          : "must be a string",
+      outputFormat: oneOf(Object.keys(OUTPUT_FORMATS)),
+      formatOptions: (value) => {
+        if (!isObject(value)) return "must be an object";
+        if (value.effort !== undefined) {
+          const error = integerIn(0, 10)(value.effort);
+          if (error) return `effort ${error}`;
+        }
+        if (value.chromaSubsampling !== undefined) {
+          const error = oneOf(["4:2:0", "4:4:4"])(value.chromaSubsampling);
+          if (error) return `chromaSubsampling ${error}`;
+        }
+        return null;
       },
-      "landscape-4:3": {
-        code: "IMAGE_ASPECT_RATIO_WIDE",
-        display: "landscape (4:3)",
-        description: "Traditional landscape",
+      postProcessing: (value) => this.validatePostProcessing(value),
+      retry: (value) => {
+        if (!isObject(value)) return "must be an object";
+        for (const [key, [min, max]] of Object.entries(RETRY_LIMITS)) {
+          if (value[key] === undefined) continue;
+          const error = integerIn(min, max)(value[key]);
+          if (error) return `${key} ${error}`;
+        }
+        const retry = { ...DEFAULT_RETRY_POLICY, ...value };
+        return retry.maxDelayMs < retry.baseDelayMs
+          ? "maxDelayMs cannot be shorter than baseDelayMs"
+          : null;
+      },
+      profiles: (value) => {
+        if (!isObject(value)) return "must be an object of named profiles";
+        for (const [name, profile] of Object.entries(value)) {
+          if (!isObject(profile)) return `"${name}" must be an object`;
+          for (const [key, field] of Object.entries(profile)) {
+            if (key === "tokens") {
+              if (
+                !Array.isArray(field) ||
+                !field.every((t) => typeof t === "string")
+              ) {
+                return `"${name}" tokens must be a list of token names`;
+              }
+              continue;
+            }
+            if (!PROFILE_KEYS.includes(key)) {
+              return `"${name}" has unknown setting ${key}`;
+            }
+            const error = schema[key](field);
+            if (error) return `"${name}" ${key} ${error}`;
+          }
+        }
+        return null;
+      },
+      activeProfile: (value) =>
+        value === null || typeof value === "string"
+          ? null
+          : "must be a profile name or null",
+      apiBaseUrl: (value) => {
+        try {
+          return ["http:", "https:"].includes(new URL(value).protocol)
+            ? null
+            : "must be an http(s) URL";
+        } catch {
+          return "must be an http(s) URL";
+        }
       },
-      "portrait-9:16": {
-        code: "IMAGE_ASPECT_RATIO_PORTRAIT",
-        display: "portrait (9:16)",
-        description: "Tall portrait format",
+      mockBackend: (value) => {
+        if (!isObject(value)) return "must be an object";
+        if (value.enabled !== undefined && typeof value.enabled !== "boolean") {
+          return "enabled must be true or false";
+        }
+        if (value.latencyMs !== undefined) {
+          const error = integerIn(0, 60000)(value.latencyMs);
+          if (error) return `latencyMs ${error}`;
+        }
+        if (value.failures !== undefined) {
+          if (!isObject(value.failures)) return "failures must be an object";
+          try {
+            MockWhiskBackend.parseFailures(
+              Object.entries(value.failures)
+                .map(([kind, rate]) => `${kind}=${rate}`)
+                .join(","),
+            );
+          } catch (error) {
+            return error.message;
+          }
+        }
+        return null;
       },
-      "portrait-3:4": {
-        code: "IMAGE_ASPECT_RATIO_TALL",
-        display: "portrait (3:4)",
-        description: "Traditional portrait",
+      promptTemplates: (value) => {
+        if (!isObject(value)) return "must be an object";
+        if (value.mode !== undefined) {
+          const error = oneOf(["expand", "sample", "off"])(value.mode);
+          if (error) return `mode ${error}`;
+        }
+        if (value.samples !== undefined) {
+          const error = integerIn(1, 1000)(value.samples);
+          if (error) return `samples ${error}`;
+        }
+        return value.variablesFile === undefined ||
+          value.variablesFile === null ||
+          typeof value.variablesFile === "string"
+          ? null
+          : "variablesFile must be a file path or null";
       },
-      "square-1:1": {
-        code: "IMAGE_ASPECT_RATIO_SQUARE",
-        display: "square (1:1)",
-        description: "Perfect square format",
+      sweep: (value) => {
+        if (!isObject(value)) return "must be an object";
+        const {
+          enabled = false,
+          aspectRatios = [],
+          imageModels = [],
+          seeds = [],
+          images = 1,
+        } = value;
+        if (typeof enabled !== "boolean")
+          return "enabled must be true or false";
+        if (
+          !Array.isArray(aspectRatios) ||
+          !aspectRatios.every((key) => ASPECT_RATIO_OPTIONS[key])
+        ) {
+          return "aspectRatios must be a list of aspect ratio names";
+        }
+        if (
+          !Array.isArray(imageModels) ||
+          !imageModels.every((model) => typeof model === "string")
+        ) {
+          return "imageModels must be a list of model names";
+        }
+        if (
+          !Array.isArray(seeds) ||
+          seeds.length > MAX_SWEEP_SEEDS ||
+          !seeds.every((seed) => Number.isInteger(seed))
+        ) {
+          return `seeds must be a list of up to ${MAX_SWEEP_SEEDS} whole numbers`;
+        }
+        const error = integerIn(1, 10)(images);
+        return error && `images ${error}`;
       },
+      tokenVault: (value) =>
+        value === null ||
+        (isObject(value) &&
+          [null, "passphrase", "keyring", "file"].includes(value.source))
+          ? null
+          : "must describe how tokens are encrypted",
     };
+    return schema;
   }
 
-  getRandomAspectRatio() {
-    const aspectOptions = this.getAspectRatioOptions();
-    const keys = Object.keys(aspectOptions);
-    const randomKey = keys[Math.floor(Math.random() * keys.length)];
-    return aspectOptions[randomKey];
-  }
-
-  async promptUser(question) {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
+  // Returns [{ key, message }] for unknown keys and values that fail the schema
+  validateSettings(settings) {
+    const schema = this.getSettingsSchema();
+    const errors = [];
+    for (const [key, value] of Object.entries(settings)) {
+      const check = schema[key];
+      const message = check ? check(value) : "unknown setting";
+      if (message) errors.push({ key, message });
+    }
 
-    return new Promise((resolve) => {
-      rl.question(question, (answer) => {
-        rl.close();
-        resolve(answer.trim());
-      });
-    });
+    const { activeProfile, profiles } = settings;
+    if (activeProfile && !errors.some((e) => e.key === "profiles")) {
+      if (!profiles?.[activeProfile]) {
+        errors.push({
+          key: "activeProfile",
+          message: `profile "${activeProfile}" does not exist`,
+        });
+      }
+    }
+    return errors;
   }
 
-  displayMainMenu() {
-    console.clear();
-    console.log(chalk.blue.bold("\n🎨 Whisk AI Image Generator\n"));
-
-    // Config Summary
-    console.log(chalk.cyan.bold("📋 Current Configuration:"));
-    console.log(chalk.gray("━".repeat(50)));
-
-    const tokenCount = this.config.tokens.length;
-    const tokenStatus =
-      tokenCount > 0
-        ? `${tokenCount} token(s) ${chalk.green("✓")}`
-        : `${chalk.red("❌ Not set")}`;
-    console.log(`${chalk.cyan("API Tokens:")} ${tokenStatus}`);
+  // Decrypts saved tokens. Plaintext tokens from older versions are encrypted
+  // right away so they do not stay readable on disk.
+  async unlockSavedTokens() {
+    this.vault = new TokenVault(this.config.tokenVault);
+    const tokens = this.config.tokens;
+    if (tokens.length === 0) return;
 
-    console.log(`${chalk.cyan("Output Dir:")} ${this.config.outputDir}`);
+    try {
+      await this.vault.unlock(() => this.askPassphrase());
+      this.config.tokens = tokens.map(({ encrypted, ...tokenObj }) => ({
+        ...tokenObj,
+        token: encrypted ? this.vault.decrypt(encrypted) : tokenObj.token,
+        source: "settings",
+      }));
+    } catch (error) {
+      console.log(
+        chalk.red(`❌ Could not unlock saved tokens: ${error.message}`),
+      );
+      // Locked tokens keep their ciphertext and are never scheduled
+      this.tokensLocked = true;
+      this.config.tokens = tokens.map((tokenObj) => ({
+        ...tokenObj,
+        token: tokenObj.encrypted ? "" : tokenObj.token,
+        source: "settings",
+      }));
+      return;
+    }
 
-    const promptFileStatus = this.config.promptFile
-      ? `${path.basename(this.config.promptFile)} ${chalk.green("✓")}`
-      : `${chalk.red("❌ Not set")}`;
-    console.log(`${chalk.cyan("Prompt File:")} ${promptFileStatus}`);
+    const plaintextCount = tokens.filter((t) => !t.encrypted).length;
+    if (plaintextCount > 0) {
+      await this.autoSaveSettings();
+      console.log(
+        chalk.green(
+          `🔐 Encrypted ${plaintextCount} plaintext token(s) in ${this.settingsFile}`,
+        ),
+      );
+    }
+  }
 
-    const aspectDisplay = this.config.randomAspectRatio
-      ? `${chalk.magenta("🎲 Random")}`
-      : this.config.aspectRatioDisplay;
-    console.log(`${chalk.cyan("Aspect Ratio:")} ${aspectDisplay}`);
+  // WHISK_TOKEN_<NAME>=... tokens live only in memory and are never saved
+  addEnvironmentTokens() {
+    for (const [envVar, token] of Object.entries(process.env)) {
+      if (!envVar.startsWith("WHISK_TOKEN_") || !token) continue;
+      const envName = envVar.slice("WHISK_TOKEN_".length);
+      const name = this.config.tokens.some((t) => t.name === envName)
+        ? `${envName} (env)`
+        : envName;
+      this.config.tokens.push({ name, token, source: "env", envVar });
+    }
+  }
 
-    console.log(`${chalk.cyan("Image Quality:")} ${this.config.compression}%`);
-    console.log(`${chalk.cyan("Workers:")} ${this.config.workers}`);
+  async askPassphrase() {
+    if (!this.interactive) return null;
+    return this.promptUser("🔐 Passphrase for saved tokens: ", {
+      hidden: true,
+    });
+  }
 
-    console.log(chalk.gray("━".repeat(50)));
+  // What goes into settings.json: environment tokens are left out and the
+  // others are stored encrypted
+  async getSettingsForDisk() {
+    const savedTokens = this.config.tokens.filter((t) => t.source !== "env");
+    if (savedTokens.length > 0 && !this.tokensLocked) {
+      await this.vault.unlock(() => this.askPassphrase());
+    }
 
-    console.log(chalk.cyan("\n📋 Main Menu:"));
-    console.log("1. 🔑 Manage API Tokens");
-    console.log("2. ⚙️  Configure Settings");
-    console.log("3. 📝 Set Prompt File");
-    console.log("4. 🚀 Generate Images");
-    console.log("5. 📊 View Status");
-    console.log("6. ❌ Exit");
-  }
+    // While locked, tokens are written back exactly as they were loaded
+    const tokens = savedTokens.map(({ name, token, encrypted, health }) =>
+      this.tokensLocked
+        ? { name, ...(encrypted ? { encrypted } : { token }), health }
+        : { name, encrypted: this.vault.encrypt(token), health },
+    );
 
-  async showMainMenu() {
-    this.displayMainMenu();
-    const choice = await this.promptUser("\nSelect option (1-6): ");
-    return choice;
+    return {
+      version: SETTINGS_VERSION,
+      ...this.config,
+      ...(this.sessionProfile && {
+        ...this.sessionProfile.values,
+        activeProfile: this.sessionProfile.saved,
+      }),
+      tokens,
+      tokenVault: this.vault.toJSON(),
+    };
   }
 
-  async showTokenMenu() {
-    console.clear();
-    console.log(chalk.blue.bold("\n🔑 Token Management\n"));
+  async autoSaveSettings() {
+    // Changes made while a profile is active belong to that profile
+    const active = this.getActiveProfile();
+    if (active) Object.assign(active, this.captureProfile(active.tokens));
 
-    const tokenCount = this.config.tokens.length;
-    if (tokenCount > 0) {
-      console.log(
-        chalk.green(`Currently configured: ${tokenCount} token(s)\n`),
+    try {
+      await fs.writeFile(
+        this.settingsFile,
+        JSON.stringify(await this.getSettingsForDisk(), null, 2),
       );
-    } else {
+      console.log(chalk.gray(`💾 Settings auto-saved to ${this.settingsFile}`));
+    } catch (error) {
       console.log(
-        chalk.yellow(
-          "⚠️  No tokens configured - required for image generation!\n",
-        ),
+        chalk.red(`❌ Failed to auto-save settings: ${error.message}`),
       );
     }
+  }
 
-    console.log(chalk.cyan("Token Menu:"));
-    console.log("1. ➕ Add New Token");
-    console.log("2. 📋 View Current Tokens");
-    console.log("3. 🗑️  Remove Token");
-    console.log("4. 🧹 Clear All Tokens");
-    console.log("5. 🔙 Back to Main Menu");
-
-    const choice = await this.promptUser("\nSelect option (1-5): ");
-    return choice;
+  isMockBackend() {
+    return this.mockSession || this.config.mockBackend.enabled;
   }
 
-  async showSettingsMenu() {
-    console.clear();
-    console.log(chalk.blue.bold("\n⚙️  Settings Configuration\n"));
+  getTransport() {
+    if (!this.isMockBackend()) {
+      return { ...HTTP_TRANSPORT, baseUrl: this.config.apiBaseUrl };
+    }
+    const mock = new MockWhiskBackend(this.config.mockBackend);
+    return { baseUrl: "http://mock.whisk.local", fetch: mock.fetch };
+  }
 
-    console.log(chalk.cyan("Current Settings:"));
-    console.log(chalk.gray("─".repeat(40)));
-    console.log(`📁 Output Directory: ${this.config.outputDir}`);
-    const aspectDisplay = this.config.randomAspectRatio
-      ? `🎲 Random Aspect Ratio`
-      : `📐 Fixed: ${this.config.aspectRatioDisplay}`;
-    console.log(`${aspectDisplay}`);
-    console.log(`🗜️  Image Quality: ${this.config.compression}%`);
-    console.log(`👥 Workers: ${this.config.workers}`);
-    console.log(`⏱️  API Request Delay: ${this.config.requestDelay}ms`);
-    console.log(chalk.gray("─".repeat(40)));
+  initializeClients() {
+    const transport = this.getTransport();
+    this.clients = this.config.tokens.map((tokenObj) => {
+      // Handle both old format (string) and new format (object)
+      if (typeof tokenObj === "string") {
+        const client = new WhiskClient(
+          tokenObj,
+          null,
+          this.config.retry,
+          transport,
+        );
+        client.name = `Unnamed Token`;
+        return client;
+      } else {
+        // Create client with the token value and its persisted health. Mock
+        // failures must not cool down or revoke the real token.
+        tokenObj.health ??= WhiskClient.createHealth();
+        const client = new WhiskClient(
+          tokenObj.token,
+          this.isMockBackend() ? null : tokenObj.health,
+          this.config.retry,
+          transport,
+        );
+        // Add the name to the client for reference
+        client.name = tokenObj.name;
+        return client;
+      }
+    });
+  }
 
-    console.log(chalk.cyan("\nSettings Menu:"));
-    console.log("1. 📁 Change Output Directory");
-    console.log("2. 📐 Configure Aspect Ratio");
-    console.log("3. 🗜️  Change Image Quality");
-    console.log("4. 👥 Change Number of Workers");
-    console.log("5. ⏱️  Configure API Request Delay");
-    console.log("6. 🔙 Back to Main Menu");
+  describeTokenHealth(client) {
+    const { succeeded, failed } = client.getRecentCounts();
+    const recent = chalk.gray(`(recent: ${succeeded} ok, ${failed} failed)`);
+    switch (client.getState()) {
+      case "cooling": {
+        const seconds = Math.ceil(
+          (client.health.coolingUntil - Date.now()) / 1000,
+        );
+        return `${chalk.yellow(`⏳ Cooling down (${seconds}s left)`)} ${recent}`;
+      }
+      case "revoked":
+        return `${chalk.red("⛔ Revoked")} ${recent}`;
+      case "locked":
+        return chalk.red("🔒 Locked (could not decrypt)");
+      default:
+        return `${chalk.green("✓ Healthy")} ${recent}`;
+    }
+  }
 
-    const choice = await this.promptUser("\nSelect option (1-6): ");
-    return choice;
+  async ensureOutputDir() {
+    try {
+      await fs.access(this.config.outputDir);
+    } catch {
+      await fs.mkdir(this.config.outputDir, { recursive: true });
+      console.log(
+        chalk.green(`📁 Created output directory: ${this.config.outputDir}`),
+      );
+    }
   }
 
-  async handleTokenManagement() {
-    while (true) {
-      const choice = await this.showTokenMenu();
+  async loadPromptsFromFile(filePath) {
+    try {
+      // Check if file exists first
+      await fs.access(filePath);
 
-      switch (choice) {
-        case "1":
-          await this.addToken();
-          break;
-        case "2":
-          await this.viewTokens();
-          break;
-        case "3":
-          await this.removeToken();
-          break;
-        case "4":
-          await this.clearAllTokens();
-          break;
-        case "5":
-          return;
-        default:
-          console.log(chalk.red("❌ Invalid option. Please select 1-5."));
-          await this.promptUser("⏎ Press Enter to continue...");
+      const content = await fs.readFile(filePath, "utf-8");
+      const prompts = this.parsePrompts(
+        content,
+        this.getPromptFileFormat(filePath),
+        { baseDir: path.dirname(filePath) },
+      );
+
+      this.config.promptFile = filePath;
+      console.log(
+        chalk.green(
+          `✓ Successfully loaded ${prompts.length} prompts from ${filePath}`,
+        ),
+      );
+      return prompts;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`File not found: ${filePath}`);
       }
+      throw new Error(`Failed to load prompts file: ${error.message}`);
     }
   }
 
-  async addToken() {
-    console.clear();
-    console.log(chalk.blue.bold("\n➕ Add New Token\n"));
-    console.log(
-      chalk.yellow(
-        "💡 Tip: You can add multiple tokens for faster generation with multiple workers.",
-      ),
-    );
+  getPromptFileFormat(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === ".jsonl" || ext === ".ndjson") return "jsonl";
+    if (ext === ".yaml" || ext === ".yml") return "yaml";
+    return "text";
+  }
 
-    const token = await this.promptUser("\nEnter your Whisk API token: ");
-    if (!token) {
-      console.log(chalk.yellow("⚠️  No token provided. Operation cancelled."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+  // Parses prompt file content into entries of the form
+  // { prompt, id?, aspectRatio?, seed?, imageModel?, images?, fileName?, line, sourceLine?, template? }.
+  // line is the 1-based line (or YAML entry) number; sourceLine is the raw line for
+  // line-based formats, used to remove finished prompts. Prompts are templates
+  // (see PromptTemplate) with wildcard files looked up in baseDir; entries made
+  // from a template keep it in `template`.
+  parsePrompts(content, format = "text", { baseDir = "." } = {}) {
+    const template = this.createPromptTemplate(baseDir);
+    const entries = [];
+    // Each line may only use what the lines before it left of the limit
+    for (const entry of this.parsePromptEntries(content, format)) {
+      entries.push(
+        ...this.expandPromptEntry(
+          entry,
+          template,
+          `${format === "yaml" ? "entry" : "line"} ${entry.line}`,
+          PromptTemplate.MAX_EXPANDED_PROMPTS - entries.length,
+        ),
+      );
+      if (entries.length > PromptTemplate.MAX_EXPANDED_PROMPTS) {
+        throw new Error(
+          `Prompts expand to more than ${PromptTemplate.MAX_EXPANDED_PROMPTS} prompts; use sample mode or fewer samples`,
+        );
+      }
     }
+    return entries;
+  }
 
-    // Check if token already exists
-    if (this.config.tokens.some((t) => t.token === token)) {
-      console.log(chalk.yellow("⚠️  Token already exists in configuration."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+  parsePromptEntries(content, format) {
+    if (format === "yaml") {
+      const doc = YAML.parse(content) ?? [];
+      const items = Array.isArray(doc) ? doc : doc.prompts;
+      if (!Array.isArray(items)) {
+        throw new Error(
+          'YAML prompt file must be a list or contain a "prompts" list',
+        );
+      }
+      return items.map((item, index) => ({
+        ...this.normalizePromptEntry(item, `entry ${index + 1}`),
+        line: index + 1,
+      }));
     }
 
-    const tokenName = await this.promptUser(
-      "\nEnter a name for this token (for identification): ",
-    );
-    const name = tokenName || `Token ${this.config.tokens.length + 1}`;
+    const entries = [];
+    content.split("\n").forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (line.length === 0 || line.startsWith("#")) return;
 
-    // Test token validity (basic check)
-    const testSpinner = ora("🔍 Testing token validity...").start();
-    try {
-      const testClient = new WhiskClient(token);
-      await testClient.checkCredentials();
-      testSpinner.succeed("\n✅ Token format is valid\n");
-    } catch (error) {
-      testSpinner.fail(`\n❌ Token validation failed:
-⚠️ Error: ${error.message}\n`);
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      if (format === "jsonl") {
+        let item;
+        try {
+          item = JSON.parse(line);
+        } catch (error) {
+          throw new Error(
+            `Invalid JSON on line ${index + 1}: ${error.message}`,
+          );
+        }
+        entries.push({
+          ...this.normalizePromptEntry(item, `line ${index + 1}`),
+          line: index + 1,
+          sourceLine: line,
+        });
+      } else {
+        entries.push({ prompt: line, line: index + 1, sourceLine: line });
+      }
+    });
+    return entries;
+  }
+
+  normalizePromptEntry(item, location) {
+    const entry = typeof item === "string" ? { prompt: item } : item;
+    if (!entry || typeof entry.prompt !== "string" || !entry.prompt.trim()) {
+      throw new Error(`Missing "prompt" text in ${location}`);
     }
 
-    // Add token with name
-    this.config.tokens.push({ name, token });
-    this.initializeClients();
-    await this.autoSaveSettings();
-
-    console.log(
-      chalk.green(
-        `✅ Token "${name}" added successfully! Total tokens: ${this.config.tokens.length}`,
-      ),
+    const allowedKeys = [
+      "prompt",
+      "id",
+      "aspectRatio",
+      "seed",
+      "imageModel",
+      "images",
+      "fileName",
+    ];
+    const unknownKeys = Object.keys(entry).filter(
+      (key) => !allowedKeys.includes(key),
     );
-    console.log(
-      chalk.blue(
-        `💡 You can now use ${this.config.tokens.length} worker(s) for parallel generation.`,
-      ),
-    );
-
-    await this.promptUser("⏎ Press Enter to continue...");
-  }
-
-  async viewTokens() {
-    console.clear();
-    console.log(chalk.blue.bold("\n📋 Current Tokens\n"));
+    if (unknownKeys.length > 0) {
+      throw new Error(
+        `Unknown field(s) ${unknownKeys.join(", ")} in ${location}`,
+      );
+    }
 
-    if (this.config.tokens.length === 0) {
-      console.log(chalk.yellow("No tokens configured."));
-      console.log(
-        chalk.blue(
-          "\n💡 Tip: Add at least one token to start generating images.",
-        ),
+    if (
+      entry.aspectRatio !== undefined &&
+      !resolveAspectRatio(entry.aspectRatio)
+    ) {
+      throw new Error(
+        `Invalid aspectRatio "${entry.aspectRatio}" in ${location}. Use random, ${Object.keys(ASPECT_RATIO_OPTIONS).join(", ")}`,
       );
-    } else {
-      console.log(
-        chalk.green(`Total configured tokens: ${this.config.tokens.length}\n`),
+    }
+    if (entry.seed !== undefined && !Number.isInteger(entry.seed)) {
+      throw new Error(`"seed" must be an integer in ${location}`);
+    }
+    if (
+      entry.images !== undefined &&
+      (!Number.isInteger(entry.images) || entry.images < 1)
+    ) {
+      throw new Error(`"images" must be a positive integer in ${location}`);
+    }
+    // Ids end up in file and folder names through {id}
+    if (entry.id !== undefined && /^\.+$|[\\/]/.test(String(entry.id))) {
+      throw new Error(
+        `"id" must not be "." or ".." or contain slashes in ${location}`,
       );
-      this.config.tokens.forEach((tokenObj, index) => {
-        const token = tokenObj.token;
-        const name = tokenObj.name;
-        const masked = `${token.substring(0, 10)}${"*".repeat(Math.max(0, token.length - 20))}${token.length > 10 ? token.substring(token.length - 10) : ""}`;
-        console.log(
-          `${chalk.cyan(`${index + 1}.`)} [${chalk.yellow(name)}] ${masked}`,
-        );
-      });
-      console.log(
-        chalk.blue(
-          `\n💡 With ${this.config.tokens.length} token(s), you can run up to ${this.config.tokens.length} parallel worker(s).`,
-        ),
+    }
+    if (entry.fileName !== undefined && !/^[\w.-]+$/.test(entry.fileName)) {
+      throw new Error(
+        `"fileName" may only contain letters, digits, ".", "_" and "-" in ${location}`,
       );
     }
 
-    await this.promptUser("\n⏎ Press Enter to continue...");
+    return {
+      ...entry,
+      prompt: entry.prompt.trim(),
+      ...(entry.id !== undefined && { id: String(entry.id) }),
+    };
   }
 
-  async removeToken() {
-    console.clear();
-    console.log(chalk.blue.bold("\n🗑️  Remove Token\n"));
-
-    if (this.config.tokens.length === 0) {
-      console.log(chalk.yellow("No tokens available to remove."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
-    }
-
-    console.log("Select token to remove:");
-    this.config.tokens.forEach((tokenObj, index) => {
-      const token = tokenObj.token;
-      const name = tokenObj.name;
-      const masked = `${token.substring(0, 10)}${"*".repeat(Math.max(0, token.length - 20))}${token.length > 10 ? token.substring(token.length - 10) : ""}`;
-      console.log(`${index + 1}. [${chalk.yellow(name)}] ${masked}`);
-    });
-
-    const choice = await this.promptUser(
-      "\nEnter token number (or 0 to cancel): ",
-    );
-
-    if (choice === "0") {
-      console.log(chalk.yellow("Operation cancelled."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+  // Reads the variables file: a YAML or JSON object of name -> text or list
+  loadTemplateVariables(filePath) {
+    let variables;
+    try {
+      variables = YAML.parse(fsSync.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+      throw new Error(`Variables file ${filePath}: ${error.message}`);
     }
-
-    const tokenIndex = parseInt(choice) - 1;
-
     if (
-      isNaN(tokenIndex) ||
-      tokenIndex < 0 ||
-      tokenIndex >= this.config.tokens.length
+      typeof variables !== "object" ||
+      variables === null ||
+      Array.isArray(variables)
     ) {
-      console.log(
-        chalk.red("❌ Invalid selection. Please enter a valid number."),
-      );
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      throw new Error(`Variables file ${filePath} must map names to values`);
     }
+    return variables;
+  }
 
-    const selectedToken = this.config.tokens[tokenIndex];
-
-    this.config.tokens.splice(tokenIndex, 1);
-    this.initializeClients();
-    await this.autoSaveSettings();
-    console.log(
-      chalk.green(`✅ Token "${selectedToken.name}" removed successfully.`),
-    );
-    console.log(chalk.blue(`Remaining tokens: ${this.config.tokens.length}`));
-
-    await this.promptUser("⏎ Press Enter to continue...");
+  // Templates in a prompt file look up wildcard files next to it
+  createPromptTemplate(baseDir) {
+    const { mode, variablesFile } = this.config.promptTemplates;
+    if (mode === "off") return null;
+    return new PromptTemplate({
+      baseDir,
+      variables: variablesFile ? this.loadTemplateVariables(variablesFile) : {},
+    });
   }
 
-  async clearAllTokens() {
-    console.clear();
-    console.log(chalk.blue.bold("\n🧹 Clear All Tokens\n"));
+  // Turns an entry whose prompt is a template into one entry per concrete
+  // prompt. They keep the template and its sourceLine (the generator removes
+  // the line once all of them are done), and ids get a -1, -2... suffix.
+  expandPromptEntry(entry, template, location, limit) {
+    if (!template) return [entry];
 
-    if (this.config.tokens.length === 0) {
-      console.log(chalk.yellow("No tokens to clear."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+    let prompts;
+    try {
+      prompts = template.render(entry.prompt, {
+        ...this.config.promptTemplates,
+        limit,
+      });
+    } catch (error) {
+      throw new Error(`${error.message} in ${location}`);
     }
+    if (prompts.length === 1 && prompts[0] === entry.prompt) return [entry];
+
+    return prompts.map((prompt, index) => ({
+      ...entry,
+      prompt,
+      template: entry.prompt,
+      ...(prompts.length > 1 &&
+        entry.id !== undefined && { id: `${entry.id}-${index + 1}` }),
+    }));
+  }
 
-    // List tokens that will be removed
-    console.log(
-      chalk.yellow(
-        `⚠️  This will remove all ${this.config.tokens.length} configured tokens:`,
+  // Every { aspectRatio, imageModel, seed } of the sweep; null keeps the
+  // regular setting for that parameter
+  getSweepCombinations() {
+    const { aspectRatios, imageModels, seeds } = this.config.sweep;
+    const values = (list) => (list.length > 0 ? list : [null]);
+    return values(aspectRatios).flatMap((aspectRatio) =>
+      values(imageModels).flatMap((imageModel) =>
+        values(seeds).map((seed) => ({ aspectRatio, imageModel, seed })),
       ),
     );
-    this.config.tokens.forEach((tokenObj, index) => {
-      console.log(`  ${index + 1}. ${chalk.yellow(tokenObj.name)}`);
-    });
+  }
 
-    const confirm = await this.promptUser(
-      `\nAre you sure you want to clear all tokens? (y/N): `,
-    );
+  // Sweep mode: each prompt becomes one entry per combination, kept next to
+  // each other so the variants run (and are saved) together
+  expandSweep(entries) {
+    const combinations = this.getSweepCombinations();
+    return entries.flatMap((entry, index) => {
+      const slug =
+        entry.prompt
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-")
+          .replace(/^-+|-+$/g, "")
+          .slice(0, 40)
+          .replace(/-+$/, "") || "prompt";
+      const group = `${String(index + 1).padStart(3, "0")}-${slug}`;
+
+      // The sweep folder replaces fileName, and one line is many requests now
+      const { sourceLine, fileName, ...rest } = entry;
+      return combinations.map((combination, variant) => ({
+        ...rest,
+        ...(combination.aspectRatio && {
+          aspectRatio: combination.aspectRatio,
+        }),
+        ...(combination.imageModel && { imageModel: combination.imageModel }),
+        ...(combination.seed !== null && { seed: combination.seed }),
+        images: this.config.sweep.images,
+        ...(entry.id !== undefined && { id: `${entry.id}-v${variant + 1}` }),
+        sweep: {
+          group,
+          variant: variant + 1,
+          variants: combinations.length,
+          ...combination,
+        },
+      }));
+    });
+  }
 
-    if (confirm.toLowerCase() !== "y" && confirm.toLowerCase() !== "yes") {
-      console.log(chalk.yellow("Operation cancelled."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+  async loadPromptsFromStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
     }
+    const content = Buffer.concat(chunks).toString("utf-8");
+
+    // No extension to go by, so treat input as JSONL when the first prompt is an object
+    const firstLine = content
+      .split("\n")
+      .map((line) => line.trim())
+      .find((line) => line.length > 0 && !line.startsWith("#"));
+    const prompts = this.parsePrompts(
+      content,
+      firstLine?.startsWith("{") ? "jsonl" : "text",
+    );
 
-    this.config.tokens = [];
-    this.clients = [];
-    await this.autoSaveSettings();
-
-    console.log(chalk.green("✅ All tokens cleared successfully!"));
-    await this.promptUser("⏎ Press Enter to continue...");
+    // Prompts from stdin have no backing file to remove completed lines from
+    this.config.promptFile = null;
+    console.log(
+      chalk.green(`✓ Successfully loaded ${prompts.length} prompts from stdin`),
+    );
+    return prompts;
   }
 
-  async handleSettingsConfiguration() {
-    let choice = "0";
-    while (choice !== "6") {
-      choice = await this.showSettingsMenu();
-      switch (choice) {
-        case "1":
-          await this.configureOutputDirectory();
-          break;
-        case "2":
-          await this.configureAspectRatio();
+  // Returns an error message for an invalid pipeline, or null when it is fine
+  validatePostProcessing(steps, location = "step") {
+    if (!Array.isArray(steps)) return "Post-processing must be a list of steps";
+
+    const isSize = (v) => v === undefined || (Number.isInteger(v) && v > 0);
+    const fits = ["inside", "outside", "cover", "contain", "fill"];
+    const gravities = [
+      "north",
+      "northeast",
+      "east",
+      "southeast",
+      "south",
+      "southwest",
+      "west",
+      "northwest",
+      "centre",
+      "center",
+    ];
+
+    for (const [i, step] of steps.entries()) {
+      const where = `${location} ${i + 1}`;
+      if (!step || typeof step !== "object")
+        return `${where} must be an object`;
+
+      switch (step.type) {
+        case "resize":
+          if (!isSize(step.width) || !isSize(step.height)) {
+            return `${where}: width and height must be positive integers`;
+          }
+          if (!step.width && !step.height) {
+            return `${where}: resize needs a width, a height or both`;
+          }
+          if (step.fit !== undefined && !fits.includes(step.fit)) {
+            return `${where}: fit must be one of ${fits.join(", ")}`;
+          }
           break;
-        case "3":
-          await this.configureCompression();
+        case "crop":
+          if (!step.width || !step.height) {
+            return `${where}: crop needs both width and height`;
+          }
+          if (!isSize(step.width) || !isSize(step.height)) {
+            return `${where}: width and height must be positive integers`;
+          }
           break;
-        case "4":
-          await this.configureWorkers();
+        case "watermark":
+          if (!step.image === !step.text) {
+            return `${where}: watermark needs either an image path or text`;
+          }
+          if (step.image && !fsSync.existsSync(step.image)) {
+            return `${where}: watermark image not found: ${step.image}`;
+          }
+          if (step.gravity !== undefined && !gravities.includes(step.gravity)) {
+            return `${where}: gravity must be one of ${gravities.join(", ")}`;
+          }
+          if (
+            step.opacity !== undefined &&
+            !(
+              typeof step.opacity === "number" &&
+              step.opacity >= 0 &&
+              step.opacity <= 1
+            )
+          ) {
+            return `${where}: opacity must be between 0 and 1`;
+          }
+          if (
+            step.scale !== undefined &&
+            !(
+              typeof step.scale === "number" &&
+              step.scale > 0 &&
+              step.scale <= 1
+            )
+          ) {
+            return `${where}: scale must be between 0 and 1`;
+          }
+          if (
+            step.margin !== undefined &&
+            !(Number.isInteger(step.margin) && step.margin >= 0)
+          ) {
+            return `${where}: margin must be a non-negative integer`;
+          }
+          if (!isSize(step.fontSize)) {
+            return `${where}: fontSize must be a positive integer`;
+          }
           break;
-        case "5":
-          await this.configureRequestDelay();
+        case "derivative": {
+          if (
+            typeof step.suffix !== "string" ||
+            !/^[\w.-]+$/.test(step.suffix)
+          ) {
+            return `${where}: derivative needs a file suffix such as "_thumb"`;
+          }
+          const nestedError = this.validatePostProcessing(
+            step.steps || [],
+            `${where} (${step.suffix}) step`,
+          );
+          if (nestedError) return nestedError;
           break;
-        case "6":
-          return;
+        }
         default:
-          console.log(chalk.yellow("Invalid option. Please try again."));
-          await this.promptUser("⏎ Press Enter to continue...");
+          return `${where}: unknown type "${step.type}" (use resize, crop, watermark or derivative)`;
       }
     }
-  }
 
-  async configureOutputDirectory() {
-    console.clear();
-    console.log(chalk.blue.bold("\n📁 Output Directory Configuration\n"));
-    console.log(chalk.cyan(`Current directory: ${this.config.outputDir}`));
+    return null;
+  }
 
-    // Check if current directory exists and show info
-    try {
-      await fs.access(this.config.outputDir);
-      const files = await fs.readdir(this.config.outputDir);
-      const imageFiles = files.filter((f) =>
-        f.toLowerCase().match(/\.(jpg|jpeg|png|webp)$/),
-      );
-      console.log(
-        chalk.green(
-          `✓ Directory exists (${imageFiles.length} image files found)`,
-        ),
-      );
-    } catch {
-      console.log(
-        chalk.yellow(
-          "⚠️  Directory does not exist (will be created automatically)",
-        ),
-      );
+  describePostProcessingStep(step) {
+    const size = `${step.width ?? "auto"}x${step.height ?? "auto"}`;
+    switch (step.type) {
+      case "resize":
+        return `Resize to ${size} (${step.fit || "inside"})`;
+      case "crop":
+        return `Centre-crop to ${size}`;
+      case "watermark":
+        return `Watermark ${step.image ? path.basename(step.image) : `"${step.text}"`} (${step.gravity || "southeast"})`;
+      case "derivative":
+        return `Derivative ${step.suffix}: ${
+          (step.steps || [])
+            .map((s) => this.describePostProcessingStep(s))
+            .join(", ") || "copy"
+        }`;
+      default:
+        return step.type;
     }
+  }
 
-    const newDir = await this.promptUser(
-      "\nEnter new output directory (or press Enter to keep current): ",
-    );
-
-    if (!newDir) {
-      console.log(chalk.yellow("Directory unchanged."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
-    }
+  // hidden: don't echo what is typed (passphrases)
+  async promptUser(question, { hidden = false } = {}) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
 
-    const oldDir = this.config.outputDir;
-    this.config.outputDir = newDir;
-    await this.autoSaveSettings();
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        if (hidden) process.stdout.write("\n");
+        resolve(answer.trim());
+      });
+      if (hidden) rl._writeToOutput = () => {};
+    });
+  }
 
-    console.log(chalk.green("✅ Output directory updated successfully!"));
-    console.log(chalk.blue(`Changed from: ${oldDir}`));
-    console.log(chalk.blue(`Changed to: ${newDir}`));
+  // Ask a question unless the answer was already supplied (e.g. from the CLI)
+  async ask(question, presetAnswer) {
+    if (presetAnswer !== undefined) return String(presetAnswer).trim();
+    return this.promptUser(question);
+  }
 
-    await this.promptUser("⏎ Press Enter to continue...");
+  async pause(message = "⏎ Press Enter to continue...") {
+    if (!this.interactive) return;
+    await this.promptUser(message);
   }
 
-  async configureAspectRatio() {
-    console.clear();
-    console.log(chalk.blue.bold("\n📐 Aspect Ratio Configuration\n"));
+  clearScreen() {
+    if (this.interactive) console.clear();
+  }
 
-    const aspectOptions = this.getAspectRatioOptions();
-    const currentDisplay = this.config.randomAspectRatio
-      ? "🎲 Random Aspect Ratio"
-      : this.config.aspectRatioDisplay;
-    console.log(chalk.cyan(`Current setting: ${currentDisplay}\n`));
+  enableHeadlessMode() {
+    this.headless = true;
+    this.interactive = false;
+    // Keep stdout clean for NDJSON events; human-readable logs go to stderr
+    console.log = console.error;
+  }
 
-    console.log("Available options:");
-    console.log("  0. 🎲 Random aspect ratio (different for each image)");
-    Object.entries(aspectOptions).forEach(([key, value], i) => {
-      console.log(`  ${i + 1}. ${value.display} - ${value.description}`);
-    });
+  describeApiError(error) {
+    const lines = [`⚠️ ${error.name}: ${error.message}`];
+    if (error.reason) lines.push(`🏷️ Reason: ${error.reason}`);
+    if (error.requestId) lines.push(`🆔 Request ID: ${error.requestId}`);
+    return lines.join("\n");
+  }
 
-    const choice = await this.promptUser(
-      "\nChoose aspect ratio (0-5, or press Enter to keep current): ",
+  emitEvent(event, data = {}) {
+    if (!this.headless) return;
+    process.stdout.write(
+      JSON.stringify({ event, time: new Date().toISOString(), ...data }) + "\n",
     );
+  }
 
-    if (!choice) {
-      console.log(chalk.yellow("Aspect ratio unchanged."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
-    }
+  displayMainMenu() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🎨 Whisk AI Image Generator\n"));
 
-    const choiceNum = parseInt(choice);
-    if (isNaN(choiceNum) || choiceNum < 0 || choiceNum > 5) {
-      console.log(chalk.red("❌ Invalid selection. Please enter 0-5."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
-    }
+    // Config Summary
+    console.log(chalk.cyan.bold("📋 Current Configuration:"));
+    console.log(chalk.gray("━".repeat(50)));
 
-    if (choiceNum === 0) {
-      this.config.randomAspectRatio = true;
-      this.config.aspectRatio = "IMAGE_ASPECT_RATIO_LANDSCAPE"; // default fallback
-      this.config.aspectRatioDisplay = "Random";
-      console.log(
-        chalk.green(
-          "✅ Set to random aspect ratio! Each image will use a different aspect ratio.",
-        ),
-      );
-    } else {
-      const aspectKeys = Object.keys(aspectOptions);
-      const aspectIndex = choiceNum - 1;
-      const selectedKey = aspectKeys[aspectIndex];
-      this.config.randomAspectRatio = false;
-      this.config.aspectRatio = aspectOptions[selectedKey].code;
-      this.config.aspectRatioDisplay = aspectOptions[selectedKey].display;
-      console.log(
-        chalk.green(
-          `✅ Aspect ratio set to: ${aspectOptions[selectedKey].display}`,
-        ),
-      );
+    console.log(`${chalk.cyan("Profile:")} ${this.describeActiveProfile()}`);
+
+    const tokenCount = this.config.tokens.length;
+    const tokenStatus =
+      tokenCount > 0
+        ? `${tokenCount} token(s) ${chalk.green("✓")}`
+        : `${chalk.red("❌ Not set")}`;
+    console.log(`${chalk.cyan("API Tokens:")} ${tokenStatus}`);
+
+    console.log(`${chalk.cyan("Output Dir:")} ${this.config.outputDir}`);
+
+    const promptFileStatus = this.config.promptFile
+      ? `${path.basename(this.config.promptFile)} ${chalk.green("✓")}`
+      : `${chalk.red("❌ Not set")}`;
+    console.log(`${chalk.cyan("Prompt File:")} ${promptFileStatus}`);
+
+    const aspectDisplay = this.config.randomAspectRatio
+      ? `${chalk.magenta("🎲 Random")}`
+      : this.config.aspectRatioDisplay;
+    console.log(`${chalk.cyan("Aspect Ratio:")} ${aspectDisplay}`);
+
+    console.log(`${chalk.cyan("Image Quality:")} ${this.config.compression}%`);
+    console.log(
+      `${chalk.cyan("Output Format:")} ${this.describeOutputFormat()}`,
+    );
+    console.log(`${chalk.cyan("Workers:")} ${this.config.workers}`);
+
+    console.log(chalk.gray("━".repeat(50)));
+
+    console.log(chalk.cyan("\n📋 Main Menu:"));
+    console.log("1. 🔑 Manage API Tokens");
+    console.log("2. ⚙️  Configure Settings");
+    console.log("3. 📝 Set Prompt File");
+    console.log("4. 🚀 Generate Images");
+    console.log("5. ⏯️  Resume Last Run");
+    console.log("6. 🔁 Retry Failed Prompts");
+    console.log("7. 📊 View Status");
+    console.log("8. 🗂️  Manage Profiles");
+    console.log("9. 🖼️  Build Gallery");
+    console.log("10. ❌ Exit");
+  }
+
+  async showMainMenu() {
+    this.displayMainMenu();
+    const choice = await this.promptUser("\nSelect option (1-10): ");
+    return choice;
+  }
+
+  async showTokenMenu() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🔑 Token Management\n"));
+
+    const tokenCount = this.config.tokens.length;
+    if (tokenCount > 0) {
+      console.log(
+        chalk.green(`Currently configured: ${tokenCount} token(s)\n`),
+      );
+    } else {
+      console.log(
+        chalk.yellow(
+          "⚠️  No tokens configured - required for image generation!\n",
+        ),
+      );
+    }
+
+    console.log(chalk.cyan("Token Menu:"));
+    console.log("1. ➕ Add New Token");
+    console.log("2. 📋 View Current Tokens");
+    console.log("3. 🩺 Test All Tokens");
+    console.log("4. 🗑️  Remove Token");
+    console.log("5. ♻️  Re-enable Token");
+    console.log("6. 🧹 Clear All Tokens");
+    console.log("7. 🔙 Back to Main Menu");
+
+    const choice = await this.promptUser("\nSelect option (1-7): ");
+    return choice;
+  }
+
+  async showSettingsMenu() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n⚙️  Settings Configuration\n"));
+
+    console.log(chalk.cyan("Current Settings:"));
+    console.log(chalk.gray("─".repeat(40)));
+    console.log(`📁 Output Directory: ${this.config.outputDir}`);
+    const aspectDisplay = this.config.randomAspectRatio
+      ? `🎲 Random Aspect Ratio`
+      : `📐 Fixed: ${this.config.aspectRatioDisplay}`;
+    console.log(`${aspectDisplay}`);
+    console.log(`🗜️  Image Quality: ${this.config.compression}%`);
+    console.log(`👥 Workers: ${this.config.workers}`);
+    console.log(`⏱️  API Request Delay: ${this.config.requestDelay}ms`);
+    console.log(`🔁 Retry Policy: ${this.describeRetryPolicy()}`);
+    console.log(
+      `🗑️  Remove Completed Prompts: ${this.config.removeCompletedPrompts ? "On" : "Off"}`,
+    );
+    console.log(`🏷️  Output File Template: ${this.config.outputTemplate}`);
+    console.log(`🖼️  Output Format: ${this.describeOutputFormat()}`);
+    console.log(
+      `🧩 Post-Processing: ${this.config.postProcessing.length > 0 ? `${this.config.postProcessing.length} step(s)` : "Off"}`,
+    );
+    console.log(`🧪 API Backend: ${this.describeApiBackend()}`);
+    console.log(`📝 Prompt Templates: ${this.describePromptTemplates()}`);
+    console.log(`🔬 Parameter Sweep: ${this.describeSweep()}`);
+    console.log(chalk.gray("─".repeat(40)));
+
+    console.log(chalk.cyan("\nSettings Menu:"));
+    console.log("1. 📁 Change Output Directory");
+    console.log("2. 📐 Configure Aspect Ratio");
+    console.log("3. 🗜️  Change Image Quality");
+    console.log("4. 👥 Change Number of Workers");
+    console.log("5. ⏱️  Configure API Request Delay");
+    console.log("6. 🔁 Configure Retry Policy");
+    console.log("7. 🗑️  Remove Completed Prompts From File");
+    console.log("8. 🏷️  Configure Output File Template");
+    console.log("9. 🖼️  Configure Output Format");
+    console.log("10. 🧩 Configure Post-Processing");
+    console.log("11. 🧪 Configure API Backend (mock)");
+    console.log("12. 📝 Configure Prompt Templates");
+    console.log("13. 🔬 Configure Parameter Sweep");
+    console.log("14. 🔙 Back to Main Menu");
+
+    const choice = await this.promptUser("\nSelect option (1-14): ");
+    return choice;
+  }
+
+  async handleTokenManagement() {
+    while (true) {
+      const choice = await this.showTokenMenu();
+
+      switch (choice) {
+        case "1":
+          await this.addToken();
+          break;
+        case "2":
+          await this.viewTokens();
+          break;
+        case "3":
+          await this.testAllTokens();
+          break;
+        case "4":
+          await this.removeToken();
+          break;
+        case "5":
+          await this.reenableToken();
+          break;
+        case "6":
+          await this.clearAllTokens();
+          break;
+        case "7":
+          return;
+        default:
+          console.log(chalk.red("❌ Invalid option. Please select 1-7."));
+          await this.pause();
+      }
+    }
+  }
+
+  async addToken(tokenArg, nameArg) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n➕ Add New Token\n"));
+    console.log(
+      chalk.yellow(
+        "💡 Tip: You can add multiple tokens for faster generation with multiple workers.",
+      ),
+    );
+
+    if (this.tokensLocked) {
+      console.log(
+        chalk.red(
+          "❌ Saved tokens are locked (see the error above). Unlock them before adding new ones.",
+        ),
+      );
+      await this.pause();
+      return false;
+    }
+
+    const token = await this.ask("\nEnter your Whisk API token: ", tokenArg);
+    if (!token) {
+      console.log(chalk.yellow("⚠️  No token provided. Operation cancelled."));
+      await this.pause();
+      return false;
+    }
+
+    // Check if token already exists
+    if (this.config.tokens.some((t) => t.token === token)) {
+      console.log(chalk.yellow("⚠️  Token already exists in configuration."));
+      await this.pause();
+      return false;
+    }
+
+    const tokenName = await this.ask(
+      "\nEnter a name for this token (for identification): ",
+      tokenArg !== undefined ? (nameArg ?? "") : nameArg,
+    );
+    const name = tokenName || `Token ${this.config.tokens.length + 1}`;
+
+    // Probe the API with the token before saving it
+    const testSpinner = ora({
+      text: "🔍 Testing token validity...",
+      isSilent: this.headless,
+    }).start();
+    const probe = await new WhiskClient(
+      token,
+      null,
+      this.config.retry,
+      this.getTransport(),
+    ).probe();
+    if (probe.status === "valid") {
+      testSpinner.succeed(`\n✅ ${this.describeTokenProbe(probe)}\n`);
+    } else if (probe.status === "network") {
+      // Being offline should not stop anyone from configuring a token
+      testSpinner.warn(`\n⚠️  Could not reach the API, adding the token unchecked:
+${probe.message}\n`);
+    } else {
+      testSpinner.fail(`\n❌ Token validation failed:
+⚠️ ${this.describeTokenProbe(probe)}\n`);
+      await this.pause();
+      return false;
+    }
+
+    // Add token with name
+    this.config.tokens.push({ name, token, source: "settings" });
+    this.initializeClients();
+    await this.autoSaveSettings();
+
+    console.log(
+      chalk.green(
+        `✅ Token "${name}" added successfully! Total tokens: ${this.config.tokens.length}`,
+      ),
+    );
+    console.log(
+      chalk.blue(
+        `💡 You can now use ${this.config.tokens.length} worker(s) for parallel generation.`,
+      ),
+    );
+
+    await this.pause();
+    return true;
+  }
+
+  async viewTokens() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n📋 Current Tokens\n"));
+
+    if (this.config.tokens.length === 0) {
+      console.log(chalk.yellow("No tokens configured."));
+      console.log(
+        chalk.blue(
+          "\n💡 Tip: Add at least one token to start generating images.",
+        ),
+      );
+    } else {
+      console.log(
+        chalk.green(`Total configured tokens: ${this.config.tokens.length}\n`),
+      );
+      this.config.tokens.forEach((tokenObj, index) => {
+        const token = tokenObj.token;
+        const name = tokenObj.name;
+        const masked = token
+          ? `${token.substring(0, 10)}${"*".repeat(Math.max(0, token.length - 20))}${token.length > 10 ? token.substring(token.length - 10) : ""}`
+          : chalk.red("🔒 locked");
+        console.log(
+          `${chalk.cyan(`${index + 1}.`)} [${chalk.yellow(name)}] ${masked}`,
+        );
+        console.log(`   ${this.describeTokenSource(tokenObj)}`);
+        console.log(`   ${this.describeTokenHealth(this.clients[index])}`);
+      });
+      console.log(
+        chalk.blue(
+          `\n💡 With ${this.config.tokens.length} token(s), you can run up to ${this.config.tokens.length} parallel worker(s).`,
+        ),
+      );
+    }
+
+    await this.pause("\n⏎ Press Enter to continue...");
+  }
+
+  describeTokenSource(tokenObj) {
+    if (tokenObj.source === "env") {
+      return chalk.gray(
+        `🌱 Environment variable ${tokenObj.envVar} (not saved)`,
+      );
+    }
+    const keySource = {
+      passphrase: "WHISK_PASSPHRASE passphrase",
+      keyring: "key in OS keyring",
+      file: `key file ${TokenVault.KEY_FILE}`,
+    }[this.vault.source];
+    return chalk.gray(
+      `🔐 ${this.settingsFile}, encrypted${keySource ? ` (${keySource})` : ""}`,
+    );
+  }
+
+  async removeToken(selection) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🗑️  Remove Token\n"));
+
+    if (this.config.tokens.length === 0) {
+      console.log(chalk.yellow("No tokens available to remove."));
+      await this.pause();
+      return false;
+    }
+
+    console.log("Select token to remove:");
+    this.config.tokens.forEach((tokenObj, index) => {
+      const token = tokenObj.token;
+      const name = tokenObj.name;
+      const masked = token
+        ? `${token.substring(0, 10)}${"*".repeat(Math.max(0, token.length - 20))}${token.length > 10 ? token.substring(token.length - 10) : ""}`
+        : chalk.red("🔒 locked");
+      console.log(`${index + 1}. [${chalk.yellow(name)}] ${masked}`);
+    });
+
+    const choice = await this.ask(
+      "\nEnter token number (or 0 to cancel): ",
+      selection,
+    );
+
+    if (choice === "0") {
+      console.log(chalk.yellow("Operation cancelled."));
+      await this.pause();
+      return false;
+    }
+
+    // Accept either the list number or the token name
+    const namedIndex = this.config.tokens.findIndex((t) => t.name === choice);
+    const tokenIndex = namedIndex !== -1 ? namedIndex : parseInt(choice) - 1;
+
+    if (
+      isNaN(tokenIndex) ||
+      tokenIndex < 0 ||
+      tokenIndex >= this.config.tokens.length
+    ) {
+      console.log(
+        chalk.red("❌ Invalid selection. Please enter a valid number."),
+      );
+      await this.pause();
+      return false;
+    }
+
+    const selectedToken = this.config.tokens[tokenIndex];
+    if (selectedToken.source === "env") {
+      console.log(
+        chalk.yellow(
+          `⚠️  "${selectedToken.name}" comes from ${selectedToken.envVar}. Unset that variable to remove it.`,
+        ),
+      );
+      await this.pause();
+      return false;
+    }
+
+    this.config.tokens.splice(tokenIndex, 1);
+    this.removeTokensFromProfiles([selectedToken.name]);
+    this.initializeClients();
+    await this.autoSaveSettings();
+    console.log(
+      chalk.green(`✅ Token "${selectedToken.name}" removed successfully.`),
+    );
+    console.log(chalk.blue(`Remaining tokens: ${this.config.tokens.length}`));
+
+    await this.pause();
+    return true;
+  }
+
+  describeTokenProbe(probe) {
+    const labels = {
+      valid: "Valid",
+      expired: "Expired or invalid (401)",
+      forbidden: "Forbidden (403) - token cannot use Whisk",
+      network: "Network problem",
+      unknown: "Unexpected response",
+    };
+    let text = `${labels[probe.status]}: ${probe.message}`;
+    if (probe.expiresAt) {
+      const minutes = Math.round((probe.expiresAt - Date.now()) / 60000);
+      text +=
+        minutes > 0
+          ? ` (expires in ${minutes} min, ${probe.expiresAt.toLocaleString()})`
+          : ` (expired ${probe.expiresAt.toLocaleString()})`;
+    }
+    return text;
+  }
+
+  // Probes every token; results also update token health
+  async testAllTokens() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🩺 Test All Tokens\n"));
+
+    if (this.clients.length === 0) {
+      console.log(chalk.yellow("No tokens configured."));
+      await this.pause();
+      return false;
+    }
+
+    let allValid = true;
+    for (const client of this.clients) {
+      const spinner = ora({
+        text: `Testing "${client.name}"...`,
+        isSilent: this.headless,
+      }).start();
+      const probe = await client.probe();
+      const line = `[${client.name}] ${this.describeTokenProbe(probe)}`;
+
+      if (probe.status === "valid") {
+        if (client.getState() === "revoked") client.reenable();
+        spinner.succeed(line);
+      } else if (probe.status === "expired" || probe.status === "forbidden") {
+        client.health.state = "revoked";
+        client.health.lastError = probe.message;
+        spinner.fail(line);
+      } else {
+        spinner.warn(line);
+      }
+      if (probe.status !== "valid") allValid = false;
+    }
+
+    await this.autoSaveSettings();
+    await this.pause();
+    return allValid;
+  }
+
+  async reenableToken(selection) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n♻️  Re-enable Token\n"));
+
+    if (this.config.tokens.length === 0) {
+      console.log(chalk.yellow("No tokens configured."));
+      await this.pause();
+      return false;
+    }
+
+    console.log("Select token to re-enable:");
+    this.config.tokens.forEach((tokenObj, index) => {
+      console.log(
+        `${index + 1}. [${chalk.yellow(tokenObj.name)}] ${this.describeTokenHealth(this.clients[index])}`,
+      );
+    });
+
+    const choice = await this.ask(
+      "\nEnter token number (or 0 to cancel): ",
+      selection,
+    );
+
+    if (!choice || choice === "0") {
+      console.log(chalk.yellow("Operation cancelled."));
+      await this.pause();
+      return false;
+    }
+
+    // Accept either the list number or the token name
+    const namedIndex = this.config.tokens.findIndex((t) => t.name === choice);
+    const tokenIndex = namedIndex !== -1 ? namedIndex : parseInt(choice) - 1;
+    const client = this.clients[tokenIndex];
+
+    if (!client) {
+      console.log(
+        chalk.red("❌ Invalid selection. Please enter a valid number."),
+      );
+      await this.pause();
+      return false;
+    }
+
+    client.reenable();
+    await this.autoSaveSettings();
+    console.log(
+      chalk.green(
+        `✅ Token "${client.name}" re-enabled and will be used again.`,
+      ),
+    );
+
+    await this.pause();
+    return true;
+  }
+
+  // Persists only token health, so run-only overrides never reach settings.json
+  async saveTokenHealth() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.settingsFile, "utf-8"));
+      for (const tokenObj of saved.tokens || []) {
+        const current = this.config.tokens.find(
+          (t) => t.source !== "env" && t.name === tokenObj.name,
+        );
+        if (current?.health) tokenObj.health = current.health;
+      }
+      await fs.writeFile(this.settingsFile, JSON.stringify(saved, null, 2));
+    } catch (error) {
+      console.log(
+        chalk.yellow(
+          `⚠️  Warning: Could not save token health: ${error.message}`,
+        ),
+      );
+    }
+  }
+
+  async clearAllTokens(force = false) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🧹 Clear All Tokens\n"));
+
+    if (this.config.tokens.length === 0) {
+      console.log(chalk.yellow("No tokens to clear."));
+      await this.pause();
+      return true;
+    }
+
+    // List tokens that will be removed
+    console.log(
+      chalk.yellow(
+        `⚠️  This will remove all ${this.config.tokens.length} configured tokens:`,
+      ),
+    );
+    this.config.tokens.forEach((tokenObj, index) => {
+      console.log(`  ${index + 1}. ${chalk.yellow(tokenObj.name)}`);
+    });
+
+    const confirm = await this.ask(
+      `\nAre you sure you want to clear all tokens? (y/N): `,
+      force ? "y" : undefined,
+    );
+
+    if (confirm.toLowerCase() !== "y" && confirm.toLowerCase() !== "yes") {
+      console.log(chalk.yellow("Operation cancelled."));
+      await this.pause();
+      return false;
+    }
+
+    // Environment tokens are not ours to delete
+    this.removeTokensFromProfiles(
+      this.config.tokens.filter((t) => t.source !== "env").map((t) => t.name),
+    );
+    this.config.tokens = this.config.tokens.filter((t) => t.source === "env");
+    this.initializeClients();
+    await this.autoSaveSettings();
+
+    console.log(chalk.green("✅ All tokens cleared successfully!"));
+    if (this.config.tokens.length > 0) {
+      console.log(
+        chalk.yellow(
+          `⚠️  ${this.config.tokens.length} token(s) from WHISK_TOKEN_* environment variables remain`,
+        ),
+      );
+    }
+    await this.pause();
+    return true;
+  }
+
+  getActiveProfile() {
+    const { activeProfile, profiles } = this.config;
+    return activeProfile ? profiles[activeProfile] : null;
+  }
+
+  // Drops removed tokens from the profiles that list them. An empty list
+  // means all tokens, so a profile that loses its last token is pointed out.
+  removeTokensFromProfiles(names) {
+    for (const [name, profile] of Object.entries(this.config.profiles)) {
+      const tokens = profile.tokens.filter((token) => !names.includes(token));
+      if (tokens.length === profile.tokens.length) continue;
+      profile.tokens = tokens;
+      console.log(
+        chalk.yellow(
+          tokens.length > 0
+            ? `⚠️  Profile "${name}" now uses ${tokens.join(", ")}`
+            : `⚠️  Profile "${name}" has no tokens left and now uses all tokens`,
+        ),
+      );
+    }
+  }
+
+  // The current values of PROFILE_KEYS, with the given token names
+  captureProfile(tokens = []) {
+    return {
+      ...Object.fromEntries(PROFILE_KEYS.map((key) => [key, this.config[key]])),
+      tokens,
+    };
+  }
+
+  describeActiveProfile() {
+    const profile = this.getActiveProfile();
+    if (!profile) return chalk.gray("None");
+    const tokens =
+      profile.tokens.length > 0 ? profile.tokens.join(", ") : "all tokens";
+    return `${chalk.magenta(this.config.activeProfile)} ${chalk.gray(`(${tokens})`)}`;
+  }
+
+  // Accepts a profile name or its list number; null when there is no match
+  findProfileName(choice) {
+    const names = Object.keys(this.config.profiles);
+    if (names.includes(choice)) return choice;
+    return /^\d+$/.test(choice) ? (names[parseInt(choice) - 1] ?? null) : null;
+  }
+
+  listProfiles() {
+    const names = Object.keys(this.config.profiles);
+    if (names.length === 0) {
+      console.log(chalk.yellow("No profiles yet."));
+      return;
+    }
+    names.forEach((name, index) => {
+      const profile = this.config.profiles[name];
+      const active =
+        name === this.config.activeProfile ? chalk.green(" ✓") : "";
+      const aspect = profile.randomAspectRatio
+        ? "Random"
+        : profile.aspectRatioDisplay;
+      const tokens =
+        profile.tokens.length > 0 ? profile.tokens.join(", ") : "all tokens";
+      console.log(
+        `${chalk.cyan(`${index + 1}.`)} ${chalk.yellow(name)}${active}`,
+      );
+      console.log(
+        chalk.gray(
+          `   ${aspect}, quality ${profile.compression}%, ${profile.workers} worker(s), ${profile.requestDelay}ms delay, tokens: ${tokens}`,
+        ),
+      );
+      console.log(
+        chalk.gray(
+          `   Output: ${profile.outputDir}, prompts: ${profile.promptFile ?? "not set"}`,
+        ),
+      );
+    });
+  }
+
+  async viewProfiles() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🗂️  Profiles\n"));
+    this.listProfiles();
+    await this.pause();
+    return true;
+  }
+
+  async showProfileMenu() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🗂️  Profile Management\n"));
+    console.log(`Active profile: ${this.describeActiveProfile()}\n`);
+    this.listProfiles();
+
+    console.log(chalk.cyan("\nOptions:"));
+    console.log("1. 🔀 Switch Profile");
+    console.log("2. ➕ Create Profile From Current Settings");
+    console.log("3. 📑 Clone Profile");
+    console.log("4. 🔑 Set Profile Tokens");
+    console.log("5. 🗑️  Delete Profile");
+    console.log("6. 🔙 Back to Main Menu");
+
+    return this.promptUser("\nSelect option (1-6): ");
+  }
+
+  async handleProfileManagement() {
+    while (true) {
+      const choice = await this.showProfileMenu();
+
+      switch (choice) {
+        case "1":
+          await this.switchProfile();
+          break;
+        case "2":
+          await this.createProfile();
+          break;
+        case "3":
+          await this.cloneProfile();
+          break;
+        case "4":
+          await this.setProfileTokens();
+          break;
+        case "5":
+          await this.deleteProfile();
+          break;
+        case "6":
+          return;
+        default:
+          console.log(chalk.red("❌ Invalid option. Please select 1-6."));
+          await this.pause();
+      }
+    }
+  }
+
+  applyProfile(name) {
+    const { tokens, ...values } = this.config.profiles[name];
+    Object.assign(this.config, values);
+    this.config.activeProfile = name;
+  }
+
+  // Replaces the bundled settings with those of the profile. "none" keeps
+  // the current values but stops tracking them in a profile. Without save,
+  // settings.json keeps its active profile (used by --profile).
+  async switchProfile(selection, { save = true } = {}) {
+    const choice = await this.ask(
+      "\nProfile to switch to (name or number, or 'none'): ",
+      selection,
+    );
+    if (!choice) {
+      console.log(chalk.yellow("Profile unchanged."));
+      await this.pause();
+      return true;
+    }
+
+    if (!save) {
+      this.sessionProfile ??= {
+        saved: this.config.activeProfile,
+        values: Object.fromEntries(
+          PROFILE_KEYS.map((key) => [key, this.config[key]]),
+        ),
+      };
+    } else {
+      this.sessionProfile = null;
+    }
+
+    if (choice === "none") {
+      this.config.activeProfile = null;
+      if (save) await this.autoSaveSettings();
+      console.log(chalk.green("✅ No profile active"));
+      await this.pause();
+      return true;
+    }
+
+    const name = this.findProfileName(choice);
+    if (!name) {
+      console.log(chalk.red(`❌ Unknown profile: ${choice}`));
+      const names = Object.keys(this.config.profiles);
+      if (names.length > 0) {
+        console.log(chalk.blue(`Available profiles: ${names.join(", ")}`));
+      }
+      await this.pause();
+      return false;
+    }
+
+    this.applyProfile(name);
+    if (save) await this.autoSaveSettings();
+
+    console.log(chalk.green(`✅ Switched to profile "${name}"`));
+    await this.pause();
+    return true;
+  }
+
+  async askNewProfileName(nameArg) {
+    const name = await this.ask("\nNew profile name: ", nameArg);
+    if (!name || name === "none" || /^\d+$/.test(name)) {
+      console.log(chalk.red('❌ Enter a name that is not a number or "none".'));
+      return null;
+    }
+    if (this.config.profiles[name]) {
+      console.log(chalk.red(`❌ Profile "${name}" already exists.`));
+      return null;
+    }
+    return name;
+  }
+
+  async askProfileTokens(selection) {
+    console.log(
+      chalk.gray(
+        `\nAvailable tokens: ${this.config.tokens.map((t, i) => `${i + 1}. ${t.name}`).join(", ")}`,
+      ),
+    );
+    const answer = await this.ask(
+      "Tokens for this profile (names or numbers, comma-separated; Enter for all): ",
+      selection,
+    );
+    try {
+      return this.resolveTokenSelection(answer);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      return null;
+    }
+  }
+
+  async createProfile(nameArg, tokenSelection) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n➕ Create Profile\n"));
+    console.log(
+      chalk.gray(
+        "The profile starts from the current output directory, aspect ratio, quality, workers, delay and prompt file.",
+      ),
+    );
+
+    const name = await this.askNewProfileName(nameArg);
+    const tokens = name && (await this.askProfileTokens(tokenSelection));
+    if (!tokens) {
+      await this.pause();
+      return false;
+    }
+
+    this.config.profiles[name] = this.captureProfile(tokens);
+    this.config.activeProfile = name;
+    this.sessionProfile = null;
+    await this.autoSaveSettings();
+
+    console.log(chalk.green(`✅ Profile "${name}" created and activated`));
+    await this.pause();
+    return true;
+  }
+
+  async cloneProfile(sourceArg, nameArg) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n📑 Clone Profile\n"));
+    this.listProfiles();
+
+    const source = this.findProfileName(
+      await this.ask("\nProfile to clone (name or number): ", sourceArg),
+    );
+    if (!source) {
+      console.log(chalk.red("❌ Invalid selection."));
+      await this.pause();
+      return false;
+    }
+
+    const name = await this.askNewProfileName(nameArg);
+    if (!name) {
+      await this.pause();
+      return false;
+    }
+
+    this.config.profiles[name] = structuredClone(this.config.profiles[source]);
+    await this.autoSaveSettings();
+
+    console.log(chalk.green(`✅ Profile "${source}" cloned as "${name}"`));
+    await this.pause();
+    return true;
+  }
+
+  async setProfileTokens(profileArg, tokenSelection) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🔑 Set Profile Tokens\n"));
+    this.listProfiles();
+
+    const name = this.findProfileName(
+      await this.ask("\nProfile (name or number): ", profileArg),
+    );
+    if (!name) {
+      console.log(chalk.red("❌ Invalid selection."));
+      await this.pause();
+      return false;
+    }
+
+    const tokens = await this.askProfileTokens(tokenSelection);
+    if (!tokens) {
+      await this.pause();
+      return false;
+    }
+
+    this.config.profiles[name].tokens = tokens;
+    await this.autoSaveSettings();
+
+    console.log(
+      chalk.green(
+        `✅ Profile "${name}" uses ${tokens.length > 0 ? tokens.join(", ") : "all tokens"}`,
+      ),
+    );
+    await this.pause();
+    return true;
+  }
+
+  async deleteProfile(profileArg, force = false) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🗑️  Delete Profile\n"));
+    this.listProfiles();
+
+    const name = this.findProfileName(
+      await this.ask("\nProfile to delete (name or number): ", profileArg),
+    );
+    if (!name) {
+      console.log(chalk.red("❌ Invalid selection."));
+      await this.pause();
+      return false;
+    }
+
+    const confirm = await this.ask(
+      `Delete profile "${name}"? (y/N): `,
+      force ? "y" : undefined,
+    );
+    if (confirm.toLowerCase() !== "y" && confirm.toLowerCase() !== "yes") {
+      console.log(chalk.yellow("Operation cancelled."));
+      await this.pause();
+      return false;
+    }
+
+    delete this.config.profiles[name];
+    // The current values stay, they are just no longer tied to a profile
+    if (this.config.activeProfile === name) this.config.activeProfile = null;
+    if (this.sessionProfile?.saved === name) this.sessionProfile.saved = null;
+    await this.autoSaveSettings();
+
+    console.log(chalk.green(`✅ Profile "${name}" deleted`));
+    await this.pause();
+    return true;
+  }
+
+  async handleSettingsConfiguration() {
+    let choice = "0";
+    while (choice !== "14") {
+      choice = await this.showSettingsMenu();
+      switch (choice) {
+        case "1":
+          await this.configureOutputDirectory();
+          break;
+        case "2":
+          await this.configureAspectRatio();
+          break;
+        case "3":
+          await this.configureCompression();
+          break;
+        case "4":
+          await this.configureWorkers();
+          break;
+        case "5":
+          await this.configureRequestDelay();
+          break;
+        case "6":
+          await this.configureRetryPolicy();
+          break;
+        case "7":
+          await this.configureRemoveCompletedPrompts();
+          break;
+        case "8":
+          await this.configureOutputTemplate();
+          break;
+        case "9":
+          await this.configureOutputFormat();
+          break;
+        case "10":
+          await this.handlePostProcessingConfiguration();
+          break;
+        case "11":
+          await this.configureApiBackend();
+          break;
+        case "12":
+          await this.configurePromptTemplates();
+          break;
+        case "13":
+          await this.configureSweep();
+          break;
+        case "14":
+          return;
+        default:
+          console.log(chalk.yellow("Invalid option. Please try again."));
+          await this.pause();
+      }
+    }
+  }
+
+  async configureOutputDirectory(value, { save = true } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n📁 Output Directory Configuration\n"));
+    console.log(chalk.cyan(`Current directory: ${this.config.outputDir}`));
+
+    // Check if current directory exists and show info
+    try {
+      await fs.access(this.config.outputDir);
+      const files = await fs.readdir(this.config.outputDir, {
+        recursive: true,
+      });
+      const imageFiles = files.filter((f) =>
+        f.toLowerCase().match(/\.(jpg|jpeg|png|webp|avif)$/),
+      );
+      console.log(
+        chalk.green(
+          `✓ Directory exists (${imageFiles.length} image files found)`,
+        ),
+      );
+    } catch {
+      console.log(
+        chalk.yellow(
+          "⚠️  Directory does not exist (will be created automatically)",
+        ),
+      );
+    }
+
+    const newDir = await this.ask(
+      "\nEnter new output directory (or press Enter to keep current): ",
+      value,
+    );
+
+    if (!newDir) {
+      console.log(chalk.yellow("Directory unchanged."));
+      await this.pause();
+      return true;
+    }
+
+    const oldDir = this.config.outputDir;
+    this.config.outputDir = newDir;
+    if (save) await this.autoSaveSettings();
+
+    console.log(chalk.green("✅ Output directory updated successfully!"));
+    console.log(chalk.blue(`Changed from: ${oldDir}`));
+    console.log(chalk.blue(`Changed to: ${newDir}`));
+
+    await this.pause();
+    return true;
+  }
+
+  async configureAspectRatio(value, { save = true } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n📐 Aspect Ratio Configuration\n"));
+
+    const aspectOptions = ASPECT_RATIO_OPTIONS;
+    const currentDisplay = this.config.randomAspectRatio
+      ? "🎲 Random Aspect Ratio"
+      : this.config.aspectRatioDisplay;
+    console.log(chalk.cyan(`Current setting: ${currentDisplay}\n`));
+
+    console.log("Available options:");
+    console.log("  0. 🎲 Random aspect ratio (different for each image)");
+    Object.entries(aspectOptions).forEach(([key, value], i) => {
+      console.log(`  ${i + 1}. ${value.display} - ${value.description}`);
+    });
+
+    const choice = await this.ask(
+      "\nChoose aspect ratio (0-5, or press Enter to keep current): ",
+      value,
+    );
+
+    if (!choice) {
+      console.log(chalk.yellow("Aspect ratio unchanged."));
+      await this.pause();
+      return true;
+    }
+
+    // Also accept option keys such as "portrait-9:16" or "random"
+    const aspectKeyIndex = Object.keys(aspectOptions).indexOf(choice);
+    const choiceNum =
+      choice === "random"
+        ? 0
+        : aspectKeyIndex !== -1
+          ? aspectKeyIndex + 1
+          : Number(choice);
+    if (!Number.isInteger(choiceNum) || choiceNum < 0 || choiceNum > 5) {
+      console.log(chalk.red("❌ Invalid selection. Please enter 0-5."));
+      await this.pause();
+      return false;
+    }
+
+    if (choiceNum === 0) {
+      this.config.randomAspectRatio = true;
+      this.config.aspectRatio = "IMAGE_ASPECT_RATIO_LANDSCAPE"; // default fallback
+      this.config.aspectRatioDisplay = "Random";
+      console.log(
+        chalk.green(
+          "✅ Set to random aspect ratio! Each image will use a different aspect ratio.",
+        ),
+      );
+    } else {
+      const aspectKeys = Object.keys(aspectOptions);
+      const aspectIndex = choiceNum - 1;
+      const selectedKey = aspectKeys[aspectIndex];
+      this.config.randomAspectRatio = false;
+      this.config.aspectRatio = aspectOptions[selectedKey].code;
+      this.config.aspectRatioDisplay = aspectOptions[selectedKey].display;
+      console.log(
+        chalk.green(
+          `✅ Aspect ratio set to: ${aspectOptions[selectedKey].display}`,
+        ),
+      );
+    }
+
+    if (save) await this.autoSaveSettings();
+    await this.pause();
+    return true;
+  }
+
+  async configureCompression(value, { save = true } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🗜️  Image Quality Configuration\n"));
+    console.log(chalk.cyan(`Current quality: ${this.config.compression}%`));
+    console.log(
+      chalk.yellow(
+        "💡 Higher quality = larger file size, lower quality = smaller file size",
+      ),
+    );
+    console.log(chalk.gray("   Recommended: 80-95% for good balance"));
+
+    const compression = await this.ask(
+      "\nEnter quality percentage 1-100% (or press Enter to keep current): ",
+      value,
+    );
+
+    if (!compression) {
+      console.log(chalk.yellow("Quality setting unchanged."));
+      await this.pause();
+      return true;
+    }
+
+    const compressionNum = parseInt(compression);
+    if (isNaN(compressionNum) || compressionNum < 1 || compressionNum > 100) {
+      console.log(
+        chalk.red(
+          "❌ Invalid quality value. Please enter a number between 1-100.",
+        ),
+      );
+      await this.pause();
+      return false;
+    }
+
+    const oldQuality = this.config.compression;
+    this.config.compression = compressionNum;
+    if (save) await this.autoSaveSettings();
+
+    console.log(chalk.green("✅ Image quality updated successfully!"));
+    console.log(
+      chalk.blue(`Changed from: ${oldQuality}% to ${compressionNum}%`),
+    );
+
+    if (compressionNum >= 95) {
+      console.log(
+        chalk.yellow("💡 Very high quality - expect larger file sizes"),
+      );
+    } else if (compressionNum <= 50) {
+      console.log(
+        chalk.yellow(
+          "💡 Low quality - files will be small but may show compression artifacts",
+        ),
+      );
+    }
+
+    await this.pause();
+    return true;
+  }
+
+  async configureWorkers(value, { save = true } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n👥 Workers Configuration\n"));
+    console.log(chalk.cyan(`Current workers: ${this.config.workers}`));
+    console.log(
+      chalk.cyan(
+        `Available tokens: ${this.config.tokens.length} (${this.config.tokens.map((t) => t.name).join(", ")})`,
+      ),
+    );
+
+    if (this.config.tokens.length === 0) {
+      console.log(
+        chalk.yellow(
+          "⚠️  No tokens configured! Add tokens first before setting workers.",
+        ),
+      );
+      await this.pause();
+      return false;
+    }
+
+    console.log(
+      chalk.yellow(
+        `💡 Recommended: Use up to ${this.config.tokens.length} worker(s) (one per token)`,
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   More workers = faster generation (if you have multiple tokens)",
+      ),
+    );
+
+    const workers = await this.ask(
+      "\nEnter number of workers 1-10 (or press Enter to keep current): ",
+      value,
+    );
+
+    if (!workers) {
+      console.log(chalk.yellow("Workers setting unchanged."));
+      await this.pause();
+      return true;
+    }
+
+    const workersNum = parseInt(workers);
+    if (isNaN(workersNum) || workersNum < 1 || workersNum > 10) {
+      console.log(
+        chalk.red(
+          "❌ Invalid workers count. Please enter a number between 1-10.",
+        ),
+      );
+      await this.pause();
+      return false;
+    }
+
+    const oldWorkers = this.config.workers;
+    this.config.workers = workersNum;
+    if (save) await this.autoSaveSettings();
+
+    console.log(chalk.green("✅ Workers count updated successfully!"));
+    console.log(
+      chalk.blue(`Changed from: ${oldWorkers} to ${workersNum} worker(s)`),
+    );
+
+    if (workersNum > this.config.tokens.length) {
+      console.log(
+        chalk.yellow(
+          `⚠️  You have more workers (${workersNum}) than tokens (${this.config.tokens.length})`,
+        ),
+      );
+      console.log(
+        chalk.yellow("   Workers will share tokens, which may be slower"),
+      );
+    }
+
+    await this.pause();
+    return true;
+  }
+
+  async configureRequestDelay(value, { save = true } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n⏱️  API Request Delay Configuration\n"));
+    console.log(chalk.cyan(`Current delay: ${this.config.requestDelay}ms`));
+
+    console.log(
+      chalk.yellow(
+        "💡 Higher delay = more respectful to API but slower generation",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   Recommended: 1000ms (1 second) between requests per worker",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   Minimum: 0ms (no delay) - use only if approved by API provider",
+      ),
+    );
+    console.log(chalk.gray("   Maximum: 10000ms (10 seconds)"));
+
+    const delay = await this.ask(
+      "\nEnter delay in milliseconds (0-10000) or press Enter to keep current: ",
+      value,
+    );
+
+    if (!delay) {
+      console.log(chalk.yellow("API request delay unchanged."));
+      await this.pause();
+      return true;
+    }
+
+    const delayNum = parseInt(delay);
+    if (isNaN(delayNum) || delayNum < 0 || delayNum > 10000) {
+      console.log(
+        chalk.red("❌ Invalid delay. Please enter a number between 0-10000."),
+      );
+      await this.pause();
+      return false;
+    }
+
+    const oldDelay = this.config.requestDelay;
+    this.config.requestDelay = delayNum;
+    if (save) await this.autoSaveSettings();
+
+    console.log(chalk.green("✅ API request delay updated successfully!"));
+    console.log(chalk.blue(`Changed from: ${oldDelay}ms to ${delayNum}ms`));
+
+    await this.pause();
+    return true;
+  }
+
+  describeRetryPolicy() {
+    const { maxAttempts, baseDelayMs, maxDelayMs } = this.config.retry;
+    return `${maxAttempts} attempt(s), backoff ${baseDelayMs}ms up to ${maxDelayMs}ms, timeout ${this.config.retry.timeoutMs / 1000}s`;
+  }
+
+  describeApiBackend() {
+    if (!this.isMockBackend()) return this.config.apiBaseUrl;
+    const { latencyMs, failures } = this.config.mockBackend;
+    return `${chalk.magenta("Mock")} (~${latencyMs}ms, ${MockWhiskBackend.describeFailures(failures)})`;
+  }
+
+  async configureApiBackend() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🧪 API Backend Configuration\n"));
+    console.log(chalk.cyan(`Current backend: ${this.describeApiBackend()}`));
+    console.log(
+      chalk.yellow(
+        "💡 The mock backend returns placeholder images, so runs cost no quota",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        `   Failure kinds: ${MockWhiskBackend.FAILURE_KINDS.join(", ")}; force one with [mock:<kind>] in a prompt`,
+      ),
+    );
+
+    const { enabled, latencyMs } = this.config.mockBackend;
+    const options = {
+      enabled: await this.promptUser(
+        `\nUse mock backend? (y/n, current ${enabled ? "y" : "n"}, Enter to keep): `,
+      ),
+      latencyMs: await this.promptUser(
+        `Mock latency in ms 0-60000 (current ${latencyMs}, Enter to keep): `,
+      ),
+      failures: await this.promptUser(
+        'Mock failure rates, e.g. "429=0.1,empty=0.05" or "none" (Enter to keep): ',
+      ),
+      apiBaseUrl: await this.promptUser(
+        `API base URL (current ${this.config.apiBaseUrl}, Enter to keep): `,
+      ),
+    };
+
+    const updated = await this.configureBackendOptions(options);
+    await this.pause();
+    return updated;
+  }
+
+  // Validates and applies { enabled, latencyMs, failures, apiBaseUrl }; empty values are skipped
+  async configureBackendOptions(options, { save = true } = {}) {
+    const mockBackend = { ...this.config.mockBackend };
+    let { apiBaseUrl } = this.config;
+    const isSet = (value) => value !== undefined && value !== "";
+
+    if (isSet(options.enabled)) {
+      const value = String(options.enabled).toLowerCase();
+      if (
+        !["y", "yes", "on", "true", "n", "no", "off", "false"].includes(value)
+      ) {
+        console.log(chalk.red("❌ Invalid value. Use on or off."));
+        return false;
+      }
+      mockBackend.enabled = ["y", "yes", "on", "true"].includes(value);
+    }
+
+    if (isSet(options.latencyMs)) {
+      const latency = Number(options.latencyMs);
+      if (!Number.isInteger(latency) || latency < 0 || latency > 60000) {
+        console.log(
+          chalk.red(
+            "❌ Invalid latency. Please enter a number between 0-60000.",
+          ),
+        );
+        return false;
+      }
+      mockBackend.latencyMs = latency;
+    }
+
+    if (isSet(options.failures)) {
+      try {
+        mockBackend.failures = MockWhiskBackend.parseFailures(options.failures);
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        return false;
+      }
+    }
+
+    if (isSet(options.apiBaseUrl)) {
+      const error = this.getSettingsSchema().apiBaseUrl(options.apiBaseUrl);
+      if (error) {
+        console.log(chalk.red(`❌ Invalid API base URL: it ${error}.`));
+        return false;
+      }
+      apiBaseUrl = options.apiBaseUrl;
+    }
+
+    Object.assign(this.config, { mockBackend, apiBaseUrl });
+    this.initializeClients();
+    if (save) await this.autoSaveSettings();
+    console.log(chalk.green(`✅ API backend: ${this.describeApiBackend()}`));
+    return true;
+  }
+
+  describePromptTemplates() {
+    const { mode, samples, variablesFile } = this.config.promptTemplates;
+    const modes = {
+      expand: "Expand every combination",
+      sample: `${samples} random sample(s) per template`,
+      off: "Off (prompts used as written)",
+    };
+    return variablesFile && mode !== "off"
+      ? `${modes[mode]}, variables from ${variablesFile}`
+      : modes[mode];
+  }
+
+  async configurePromptTemplates() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n📝 Prompt Template Configuration\n"));
+    console.log(chalk.cyan(`Current mode: ${this.describePromptTemplates()}`));
+    console.log(
+      chalk.yellow(
+        "💡 {red|blue} picks one option, {3::red|blue} weighs it, {@styles} uses the lines of styles.txt",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   ${name} is replaced from the variables file (YAML or JSON, a list value is a choice)",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   Expand makes every combination; sample picks random ones, honoring weights",
+      ),
+    );
+
+    const { mode, samples, variablesFile } = this.config.promptTemplates;
+    const options = {
+      mode: await this.promptUser(
+        `\nMode expand, sample or off (current ${mode}, Enter to keep): `,
+      ),
+      samples: await this.promptUser(
+        `Samples per template 1-1000 (current ${samples}, Enter to keep): `,
+      ),
+      variablesFile: await this.promptUser(
+        `Variables file, or "none" (current ${variablesFile ?? "none"}, Enter to keep): `,
+      ),
+    };
+
+    const updated = await this.configurePromptTemplateOptions(options);
+    await this.pause();
+    return updated;
+  }
+
+  // Validates and applies { mode, samples, variablesFile }; empty values are skipped
+  async configurePromptTemplateOptions(options, { save = true } = {}) {
+    const promptTemplates = { ...this.config.promptTemplates };
+    const isSet = (value) => value !== undefined && value !== "";
+
+    if (isSet(options.mode)) {
+      const mode = String(options.mode).toLowerCase();
+      if (!["expand", "sample", "off"].includes(mode)) {
+        console.log(chalk.red("❌ Invalid mode. Use expand, sample or off."));
+        return false;
+      }
+      promptTemplates.mode = mode;
+    }
+
+    if (isSet(options.samples)) {
+      const samples = Number(options.samples);
+      if (!Number.isInteger(samples) || samples < 1 || samples > 1000) {
+        console.log(
+          chalk.red(
+            "❌ Invalid samples. Please enter a number between 1-1000.",
+          ),
+        );
+        return false;
+      }
+      promptTemplates.samples = samples;
+    }
+
+    if (isSet(options.variablesFile)) {
+      promptTemplates.variablesFile =
+        options.variablesFile === "none" ? null : options.variablesFile;
+      if (promptTemplates.variablesFile) {
+        try {
+          this.loadTemplateVariables(promptTemplates.variablesFile);
+        } catch (error) {
+          console.log(chalk.red(`❌ ${error.message}`));
+          return false;
+        }
+      }
+    }
+
+    this.config.promptTemplates = promptTemplates;
+    if (save) await this.autoSaveSettings();
+    console.log(
+      chalk.green(`✅ Prompt templates: ${this.describePromptTemplates()}`),
+    );
+    return true;
+  }
+
+  describeSweep() {
+    const { enabled, aspectRatios, imageModels, seeds, images } =
+      this.config.sweep;
+    const axes = [
+      aspectRatios.length > 0 && aspectRatios.join(", "),
+      imageModels.length > 0 && imageModels.join(", "),
+      seeds.length > 0 && `seeds ${seeds.join(", ")}`,
+    ].filter(Boolean);
+    const description = `${this.getSweepCombinations().length} variant(s) per prompt${axes.length > 0 ? ` (${axes.join("; ")})` : ""}, ${images} image(s) each`;
+    if (enabled) return description;
+    return axes.length > 0 ? `Off (when on: ${description})` : "Off";
+  }
+
+  async configureSweep() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🔬 Parameter Sweep Configuration\n"));
+    console.log(chalk.cyan(`Current sweep: ${this.describeSweep()}`));
+    console.log(
+      chalk.yellow(
+        "💡 Every prompt is generated once per combination of the chosen aspect ratios, models and seeds",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   Variants of a prompt are saved side by side in <outputDir>/<run>/<prompt>/",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        '   Leave a list as "none" to use the regular setting (random seeds when no seeds are set)',
+      ),
+    );
+
+    const { enabled, aspectRatios, imageModels, seeds, images } =
+      this.config.sweep;
+    const list = (values) => (values.length > 0 ? values.join(",") : "none");
+    const options = {
+      enabled: await this.promptUser(
+        `\nSweep on or off (current ${enabled ? "on" : "off"}, Enter to keep): `,
+      ),
+      aspectRatios: await this.promptUser(
+        `Aspect ratios, e.g. ${Object.keys(ASPECT_RATIO_OPTIONS).slice(0, 2).join(",")} (current ${list(aspectRatios)}, Enter to keep): `,
+      ),
+      imageModels: await this.promptUser(
+        `Image models, e.g. ${DEFAULT_IMAGE_MODEL} (current ${list(imageModels)}, Enter to keep): `,
+      ),
+      seeds: await this.promptUser(
+        `Seeds, e.g. 1,2,3 or 100-104 (current ${list(seeds)}, Enter to keep): `,
+      ),
+      images: await this.promptUser(
+        `Images per combination 1-10 (current ${images}, Enter to keep): `,
+      ),
+    };
+
+    const updated = await this.configureSweepOptions(options);
+    await this.pause();
+    return updated;
+  }
+
+  // Validates and applies { enabled, aspectRatios, imageModels, seeds, images };
+  // lists are comma-separated strings or arrays, "none" clears one. Empty values are skipped.
+  async configureSweepOptions(options, { save = true } = {}) {
+    const sweep = { ...this.config.sweep };
+    const isSet = (value) => value !== undefined && value !== "";
+    const toList = (value) =>
+      (Array.isArray(value) ? value : String(value).split(","))
+        .map((item) => String(item).trim())
+        .filter((item) => item.length > 0 && item !== "none");
+
+    if (isSet(options.enabled)) {
+      const value = String(options.enabled).toLowerCase();
+      if (
+        !["y", "yes", "on", "true", "n", "no", "off", "false"].includes(value)
+      ) {
+        console.log(chalk.red("❌ Invalid value. Use on or off."));
+        return false;
+      }
+      sweep.enabled = ["y", "yes", "on", "true"].includes(value);
+    }
+
+    if (isSet(options.aspectRatios)) {
+      const aspectRatios = toList(options.aspectRatios);
+      const unknown = aspectRatios.filter((key) => !ASPECT_RATIO_OPTIONS[key]);
+      if (unknown.length > 0) {
+        console.log(
+          chalk.red(
+            `❌ Unknown aspect ratio(s) ${unknown.join(", ")}. Use ${Object.keys(ASPECT_RATIO_OPTIONS).join(", ")}`,
+          ),
+        );
+        return false;
+      }
+      sweep.aspectRatios = [...new Set(aspectRatios)];
+    }
+
+    if (isSet(options.imageModels)) {
+      const imageModels = toList(options.imageModels);
+      if (!imageModels.every((model) => /^[\w.-]+$/.test(model))) {
+        console.log(
+          chalk.red(
+            '❌ Image models may only contain letters, digits, ".", "_" and "-".',
+          ),
+        );
+        return false;
+      }
+      sweep.imageModels = [...new Set(imageModels)];
     }
 
-    await this.autoSaveSettings();
-    await this.promptUser("⏎ Press Enter to continue...");
+    if (isSet(options.seeds)) {
+      try {
+        sweep.seeds = this.parseSeedList(toList(options.seeds));
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        return false;
+      }
+    }
+
+    if (isSet(options.images)) {
+      const images = Number(options.images);
+      if (!Number.isInteger(images) || images < 1 || images > 10) {
+        console.log(
+          chalk.red("❌ Invalid images. Please enter a number between 1-10."),
+        );
+        return false;
+      }
+      sweep.images = images;
+    }
+
+    this.config.sweep = sweep;
+    if (save) await this.autoSaveSettings();
+    console.log(chalk.green(`✅ Parameter sweep: ${this.describeSweep()}`));
+    return true;
   }
 
-  async configureCompression() {
-    console.clear();
-    console.log(chalk.blue.bold("\n🗜️  Image Quality Configuration\n"));
-    console.log(chalk.cyan(`Current quality: ${this.config.compression}%`));
+  // ["1", "5-7"] -> [1, 5, 6, 7]
+  parseSeedList(items) {
+    const seeds = [];
+    for (const item of items) {
+      const range = item.match(/^(\d+)\s*-\s*(\d+)$/);
+      if (range) {
+        const [from, to] = [Number(range[1]), Number(range[2])];
+        if (to < from || to - from >= MAX_SWEEP_SEEDS) {
+          throw new Error(`Invalid seed range ${item}`);
+        }
+        for (let seed = from; seed <= to; seed++) seeds.push(seed);
+      } else if (/^\d+$/.test(item)) {
+        seeds.push(Number(item));
+      } else {
+        throw new Error(
+          `Invalid seed "${item}". Use numbers or ranges like 100-104.`,
+        );
+      }
+    }
+    const unique = [...new Set(seeds)];
+    if (unique.length > MAX_SWEEP_SEEDS) {
+      throw new Error(`At most ${MAX_SWEEP_SEEDS} seeds per sweep`);
+    }
+    return unique;
+  }
+
+  async configureRetryPolicy() {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🔁 Retry Policy Configuration\n"));
+    console.log(chalk.cyan(`Current policy: ${this.describeRetryPolicy()}`));
     console.log(
       chalk.yellow(
-        "💡 Higher quality = larger file size, lower quality = smaller file size",
+        "💡 Rate limits (429), server errors (5xx) and network errors are retried on the same token",
       ),
     );
-    console.log(chalk.gray("   Recommended: 80-95% for good balance"));
-
-    const compression = await this.promptUser(
-      "\nEnter quality percentage 1-100% (or press Enter to keep current): ",
+    console.log(
+      chalk.gray(
+        "   Waits double each attempt (with random jitter) and follow the server's Retry-After",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   400, 401 and 403 are never retried; 401 and 403 move on to the next token",
+      ),
     );
 
-    if (!compression) {
-      console.log(chalk.yellow("Quality setting unchanged."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+    const { maxAttempts, baseDelayMs, maxDelayMs, timeoutMs } =
+      this.config.retry;
+    const options = {
+      maxAttempts: await this.promptUser(
+        `\nMax attempts per request 1-10 (current ${maxAttempts}, Enter to keep): `,
+      ),
+      baseDelayMs: await this.promptUser(
+        `First backoff in ms 0-60000 (current ${baseDelayMs}, Enter to keep): `,
+      ),
+      maxDelayMs: await this.promptUser(
+        `Longest wait in ms up to 300000 (current ${maxDelayMs}, Enter to keep): `,
+      ),
+      timeoutMs: await this.promptUser(
+        `Request timeout in ms 1000-600000 (current ${timeoutMs}, Enter to keep): `,
+      ),
+    };
+
+    const updated = await this.configureRetryOptions(options);
+    await this.pause();
+    return updated;
+  }
+
+  // Validates and applies { maxAttempts, baseDelayMs, maxDelayMs, timeoutMs }; empty values are skipped
+  async configureRetryOptions(options, { save = true } = {}) {
+    const retry = { ...this.config.retry };
+
+    for (const [key, value] of Object.entries(options)) {
+      if (value === undefined || value === "") continue;
+      const [min, max] = RETRY_LIMITS[key];
+      const num = Number(value);
+      if (!Number.isInteger(num) || num < min || num > max) {
+        console.log(
+          chalk.red(
+            `❌ Invalid ${key}. Please enter a number between ${min}-${max}.`,
+          ),
+        );
+        return false;
+      }
+      retry[key] = num;
     }
 
-    const compressionNum = parseInt(compression);
-    if (isNaN(compressionNum) || compressionNum < 1 || compressionNum > 100) {
+    if (retry.maxDelayMs < retry.baseDelayMs) {
       console.log(
         chalk.red(
-          "❌ Invalid quality value. Please enter a number between 1-100.",
+          "❌ The longest wait cannot be shorter than the first backoff.",
         ),
       );
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      return false;
     }
 
-    const oldQuality = this.config.compression;
-    this.config.compression = compressionNum;
-    await this.autoSaveSettings();
+    this.config.retry = retry;
+    this.initializeClients();
+    if (save) await this.autoSaveSettings();
+    console.log(chalk.green(`✅ Retry policy: ${this.describeRetryPolicy()}`));
+    return true;
+  }
 
-    console.log(chalk.green("✅ Image quality updated successfully!"));
+  async configureRemoveCompletedPrompts(value, { save = true } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🗑️  Remove Completed Prompts\n"));
     console.log(
-      chalk.blue(`Changed from: ${oldQuality}% to ${compressionNum}%`),
+      chalk.cyan(
+        `Current setting: ${this.config.removeCompletedPrompts ? "On" : "Off"}`,
+      ),
+    );
+    console.log(
+      chalk.yellow(
+        "💡 Progress is tracked in the run journal, so your prompt file is left untouched by default",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   When on, each completed prompt's line is deleted from the prompt file",
+      ),
     );
 
-    if (compressionNum >= 95) {
-      console.log(
-        chalk.yellow("💡 Very high quality - expect larger file sizes"),
-      );
-    } else if (compressionNum <= 50) {
-      console.log(
-        chalk.yellow(
-          "💡 Low quality - files will be small but may show compression artifacts",
-        ),
-      );
+    const answer = await this.ask(
+      "\nRemove completed prompts from the file? (y/n, or press Enter to keep current): ",
+      value,
+    );
+
+    if (!answer) {
+      console.log(chalk.yellow("Setting unchanged."));
+      await this.pause();
+      return true;
     }
 
-    await this.promptUser("⏎ Press Enter to continue...");
-  }
+    const normalized = answer.toLowerCase();
+    if (
+      !["y", "yes", "true", "on", "n", "no", "false", "off"].includes(
+        normalized,
+      )
+    ) {
+      console.log(chalk.red("❌ Invalid answer. Please enter y or n."));
+      await this.pause();
+      return false;
+    }
+
+    this.config.removeCompletedPrompts = ["y", "yes", "true", "on"].includes(
+      normalized,
+    );
+    if (save) await this.autoSaveSettings();
 
-  async configureWorkers() {
-    console.clear();
-    console.log(chalk.blue.bold("\n👥 Workers Configuration\n"));
-    console.log(chalk.cyan(`Current workers: ${this.config.workers}`));
     console.log(
-      chalk.cyan(
-        `Available tokens: ${this.config.tokens.length} (${this.config.tokens.map((t) => t.name).join(", ")})`,
+      chalk.green(
+        `✅ Remove completed prompts turned ${this.config.removeCompletedPrompts ? "on" : "off"}`,
       ),
     );
 
-    if (this.config.tokens.length === 0) {
-      console.log(
-        chalk.yellow(
-          "⚠️  No tokens configured! Add tokens first before setting workers.",
-        ),
-      );
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
-    }
+    await this.pause();
+    return true;
+  }
 
+  async configureOutputTemplate(value, { save = true } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🏷️  Output File Template Configuration\n"));
+    console.log(chalk.cyan(`Current template: ${this.config.outputTemplate}`));
+
+    console.log("\nAvailable tokens:");
+    Object.entries(OUTPUT_TEMPLATE_TOKENS).forEach(([token, description]) => {
+      console.log(`  ${chalk.yellow(`{${token}}`)} - ${description}`);
+    });
     console.log(
       chalk.yellow(
-        `💡 Recommended: Use up to ${this.config.tokens.length} worker(s) (one per token)`,
+        "\n💡 Use / to create folders, e.g. {date}/{runId}/{promptSlug}_{seed}_{index}.{ext}",
       ),
     );
     console.log(
       chalk.gray(
-        "   More workers = faster generation (if you have multiple tokens)",
+        "   Existing files are never overwritten; a _2, _3, ... suffix is added instead",
       ),
     );
 
-    const workers = await this.promptUser(
-      "\nEnter number of workers 1-10 (or press Enter to keep current): ",
+    const template = await this.ask(
+      "\nEnter new template (or press Enter to keep current): ",
+      value,
     );
 
-    if (!workers) {
-      console.log(chalk.yellow("Workers setting unchanged."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+    if (!template) {
+      console.log(chalk.yellow("Output template unchanged."));
+      await this.pause();
+      return true;
     }
 
-    const workersNum = parseInt(workers);
-    if (isNaN(workersNum) || workersNum < 1 || workersNum > 10) {
-      console.log(
-        chalk.red(
-          "❌ Invalid workers count. Please enter a number between 1-10.",
-        ),
-      );
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+    const validationError = validateOutputTemplate(template);
+    if (validationError) {
+      console.log(chalk.red(`❌ Invalid template. ${validationError}`));
+      await this.pause();
+      return false;
     }
 
-    const oldWorkers = this.config.workers;
-    this.config.workers = workersNum;
-    await this.autoSaveSettings();
+    const oldTemplate = this.config.outputTemplate;
+    this.config.outputTemplate = template;
+    if (save) await this.autoSaveSettings();
 
-    console.log(chalk.green("✅ Workers count updated successfully!"));
-    console.log(
-      chalk.blue(`Changed from: ${oldWorkers} to ${workersNum} worker(s)`),
-    );
+    console.log(chalk.green("✅ Output template updated successfully!"));
+    console.log(chalk.blue(`Changed from: ${oldTemplate}`));
+    console.log(chalk.blue(`Changed to: ${template}`));
 
-    if (workersNum > this.config.tokens.length) {
+    await this.pause();
+    return true;
+  }
+
+  describeOutputFormat() {
+    const format = OUTPUT_FORMATS[this.config.outputFormat];
+    const { effort, chromaSubsampling } = this.config.formatOptions;
+    return this.config.outputFormat === "original"
+      ? format.display
+      : `${format.display} (effort ${effort}, chroma ${chromaSubsampling})`;
+  }
+
+  async configureOutputFormat(value, { save = true } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🖼️  Output Format Configuration\n"));
+    console.log(chalk.cyan(`Current format: ${this.describeOutputFormat()}\n`));
+
+    const formats = OUTPUT_FORMATS;
+    const formatKeys = Object.keys(formats);
+    console.log("Available formats:");
+    formatKeys.forEach((key, i) => {
       console.log(
-        chalk.yellow(
-          `⚠️  You have more workers (${workersNum}) than tokens (${this.config.tokens.length})`,
-        ),
+        `  ${i + 1}. ${formats[key].display} - ${formats[key].description}`,
       );
+    });
+
+    const choice = await this.ask(
+      `\nChoose format (1-${formatKeys.length}, or press Enter to keep current): `,
+      value,
+    );
+
+    if (!choice) {
+      console.log(chalk.yellow("Output format unchanged."));
+      await this.pause();
+      return true;
+    }
+
+    // Also accept format keys such as "webp" or "webp-lossless"
+    const selectedKey = formats[choice]
+      ? choice
+      : formatKeys[Number(choice) - 1];
+    if (!selectedKey) {
       console.log(
-        chalk.yellow("   Workers will share tokens, which may be slower"),
+        chalk.red(
+          `❌ Invalid format. Use 1-${formatKeys.length} or one of: ${formatKeys.join(", ")}`,
+        ),
       );
+      await this.pause();
+      return false;
     }
 
-    await this.promptUser("⏎ Press Enter to continue...");
-  }
+    this.config.outputFormat = selectedKey;
 
-  async configureRequestDelay() {
-    console.clear();
-    console.log(chalk.blue.bold("\n⏱️  API Request Delay Configuration\n"));
-    console.log(chalk.cyan(`Current delay: ${this.config.requestDelay}ms`));
+    // Encoder options are only asked for in the menu, the CLI sets them separately
+    if (value === undefined && this.interactive && selectedKey !== "original") {
+      const { effort, chromaSubsampling } = this.config.formatOptions;
+      const formatOptions = {
+        effort: await this.ask(
+          `Encoder effort 0-10, higher = smaller but slower (current ${effort}, Enter to keep): `,
+        ),
+        chromaSubsampling: await this.ask(
+          `Chroma subsampling 4:2:0 or 4:4:4 (current ${chromaSubsampling}, Enter to keep): `,
+        ),
+      };
+      if (!this.applyFormatOptions(formatOptions)) {
+        await this.pause();
+        return false;
+      }
+    }
+
+    if (save) await this.autoSaveSettings();
 
     console.log(
-      chalk.yellow(
-        "💡 Higher delay = more respectful to API but slower generation",
-      ),
+      chalk.green(`✅ Output format set to: ${this.describeOutputFormat()}`),
     );
     console.log(
       chalk.gray(
-        "   Recommended: 1000ms (1 second) between requests per worker",
+        "   File extensions follow the format that is actually written",
       ),
     );
+
+    await this.pause();
+    return true;
+  }
+
+  // Validates and applies { effort, chromaSubsampling }; empty values are skipped
+  applyFormatOptions({ effort, chromaSubsampling }) {
+    const formatOptions = { ...this.config.formatOptions };
+
+    if (effort !== undefined && effort !== "") {
+      const effortNum = Number(effort);
+      if (!Number.isInteger(effortNum) || effortNum < 0 || effortNum > 10) {
+        console.log(chalk.red("❌ Invalid effort. Please enter 0-10."));
+        return false;
+      }
+      formatOptions.effort = effortNum;
+    }
+
+    if (chromaSubsampling !== undefined && chromaSubsampling !== "") {
+      if (!["4:2:0", "4:4:4"].includes(chromaSubsampling)) {
+        console.log(
+          chalk.red("❌ Invalid chroma subsampling. Use 4:2:0 or 4:4:4."),
+        );
+        return false;
+      }
+      formatOptions.chromaSubsampling = chromaSubsampling;
+    }
+
+    this.config.formatOptions = formatOptions;
+    return true;
+  }
+
+  async configureFormatOptions(options, { save = true } = {}) {
+    if (!this.applyFormatOptions(options)) return false;
+    if (save) await this.autoSaveSettings();
     console.log(
-      chalk.gray(
-        "   Minimum: 0ms (no delay) - use only if approved by API provider",
-      ),
+      chalk.green(`✅ Format options updated: ${this.describeOutputFormat()}`),
     );
-    console.log(chalk.gray("   Maximum: 10000ms (10 seconds)"));
+    return true;
+  }
 
-    const delay = await this.promptUser(
-      "\nEnter delay in milliseconds (0-10000) or press Enter to keep current: ",
-    );
+  async handlePostProcessingConfiguration() {
+    while (true) {
+      this.clearScreen();
+      console.log(chalk.blue.bold("\n🧩 Post-Processing Configuration\n"));
+      console.log(
+        chalk.gray(
+          "Steps run in order on every saved image. Derivatives are extra files next to the original.\n",
+        ),
+      );
 
-    if (!delay) {
-      console.log(chalk.yellow("API request delay unchanged."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      const steps = this.config.postProcessing;
+      if (steps.length === 0) {
+        console.log(
+          chalk.yellow("No steps configured - images are saved as generated."),
+        );
+      } else {
+        steps.forEach((step, i) => {
+          console.log(`  ${i + 1}. ${this.describePostProcessingStep(step)}`);
+        });
+      }
+
+      console.log(chalk.cyan("\nOptions:"));
+      console.log("1. ↔️  Add Resize Step");
+      console.log("2. ✂️  Add Centre-Crop Step");
+      console.log("3. 💧 Add Watermark Step");
+      console.log("4. 🧩 Add Derivative (e.g. _thumb, _1080p)");
+      console.log("5. ➖ Remove a Step");
+      console.log("6. 🗑️  Clear All Steps");
+      console.log("7. 🔙 Back to Settings");
+
+      const choice = await this.promptUser("\nSelect option (1-7): ");
+      let step = null;
+      switch (choice) {
+        case "1":
+        case "2": {
+          const width = await this.promptUser(
+            "Width in pixels (Enter for auto): ",
+          );
+          const height = await this.promptUser(
+            "Height in pixels (Enter for auto): ",
+          );
+          step = {
+            type: choice === "1" ? "resize" : "crop",
+            ...(width && { width: Number(width) }),
+            ...(height && { height: Number(height) }),
+          };
+          break;
+        }
+        case "3": {
+          const source = await this.promptUser(
+            'Logo image path, or text prefixed with "text:" (e.g. text:© Studio): ',
+          );
+          const gravity = await this.promptUser(
+            "Position, e.g. southeast, northwest, centre (Enter for southeast): ",
+          );
+          const opacity = await this.promptUser(
+            "Opacity 0-1 (Enter for 0.5): ",
+          );
+          step = {
+            type: "watermark",
+            ...(source.startsWith("text:")
+              ? { text: source.slice(5).trim() }
+              : { image: source }),
+            ...(gravity && { gravity }),
+            ...(opacity && { opacity: Number(opacity) }),
+          };
+          break;
+        }
+        case "4": {
+          const suffix = await this.promptUser("File suffix (e.g. _thumb): ");
+          const width = await this.promptUser("Max width in pixels: ");
+          const height = await this.promptUser(
+            "Max height in pixels (Enter for auto): ",
+          );
+          const crop = await this.promptUser("Crop to exact size? (y/N): ");
+          step = {
+            type: "derivative",
+            suffix,
+            steps: [
+              {
+                type: crop.toLowerCase() === "y" ? "crop" : "resize",
+                ...(width && { width: Number(width) }),
+                ...(height && { height: Number(height) }),
+              },
+            ],
+          };
+          break;
+        }
+        case "5": {
+          const index = Number(
+            await this.promptUser("Step number to remove: "),
+          );
+          if (Number.isInteger(index) && index >= 1 && index <= steps.length) {
+            this.config.postProcessing = steps.filter(
+              (_, i) => i !== index - 1,
+            );
+            await this.autoSaveSettings();
+            console.log(chalk.green("✅ Step removed."));
+          } else {
+            console.log(chalk.red("❌ Invalid step number."));
+          }
+          await this.pause();
+          break;
+        }
+        case "6":
+          this.config.postProcessing = [];
+          await this.autoSaveSettings();
+          console.log(chalk.green("✅ All post-processing steps cleared."));
+          await this.pause();
+          break;
+        case "7":
+          return;
+        default:
+          console.log(chalk.yellow("Invalid option. Please try again."));
+          await this.pause();
+      }
+
+      if (step) {
+        const error = this.validatePostProcessing([...steps, step]);
+        if (error) {
+          console.log(chalk.red(`❌ ${error}`));
+        } else {
+          this.config.postProcessing = [...steps, step];
+          await this.autoSaveSettings();
+          console.log(
+            chalk.green(`✅ Added: ${this.describePostProcessingStep(step)}`),
+          );
+        }
+        await this.pause();
+      }
     }
+  }
 
-    const delayNum = parseInt(delay);
-    if (isNaN(delayNum) || delayNum < 0 || delayNum > 10000) {
+  // Non-interactive form: value is the whole pipeline as a JSON array
+  async configurePostProcessing(value, { save = true } = {}) {
+    let steps;
+    try {
+      steps = JSON.parse(value);
+    } catch (error) {
       console.log(
-        chalk.red("❌ Invalid delay. Please enter a number between 0-10000."),
+        chalk.red(`❌ Post-processing must be JSON: ${error.message}`),
       );
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      return false;
     }
 
-    const oldDelay = this.config.requestDelay;
-    this.config.requestDelay = delayNum;
-    await this.autoSaveSettings();
-
-    console.log(chalk.green("✅ API request delay updated successfully!"));
-    console.log(chalk.blue(`Changed from: ${oldDelay}ms to ${delayNum}ms`));
+    const validationError = this.validatePostProcessing(steps);
+    if (validationError) {
+      console.log(chalk.red(`❌ Invalid post-processing. ${validationError}`));
+      return false;
+    }
 
-    await this.promptUser("⏎ Press Enter to continue...");
+    this.config.postProcessing = steps;
+    if (save) await this.autoSaveSettings();
+    console.log(
+      chalk.green(`✅ Post-processing set to ${steps.length} step(s)`),
+    );
+    return true;
   }
 
-  async setPromptFile() {
-    console.clear();
+  async setPromptFile(value, { save = true } = {}) {
+    this.clearScreen();
     console.log(chalk.blue.bold("\n📝 Set Prompt File\n"));
 
     if (this.config.promptFile) {
@@ -996,15 +3939,22 @@ class WhiskTerminalApp {
       // Check current file status
       try {
         const content = await fs.readFile(this.config.promptFile, "utf-8");
-        const prompts = content
-          .split("\n")
-          .map((line) => line.trim())
-          .filter((line) => line.length > 0 && !line.startsWith("#"));
+        const prompts = this.parsePrompts(
+          content,
+          this.getPromptFileFormat(this.config.promptFile),
+          { baseDir: path.dirname(this.config.promptFile) },
+        );
         console.log(
           chalk.green(`✓ File exists (${prompts.length} prompts found)`),
         );
-      } catch {
-        console.log(chalk.red("❌ File no longer exists or is not accessible"));
+      } catch (error) {
+        console.log(
+          chalk.red(
+            error.code
+              ? "❌ File no longer exists or is not accessible"
+              : `❌ Invalid prompt file: ${error.message}`,
+          ),
+        );
       }
     } else {
       console.log(chalk.yellow("No prompt file currently set"));
@@ -1016,28 +3966,61 @@ class WhiskTerminalApp {
     console.log(chalk.gray("   Lines starting with # are ignored (comments)"));
     console.log(
       chalk.gray(
-        "   Completed prompts will be automatically removed from the file",
+        "   Use .jsonl or .yaml for per-prompt id, aspectRatio, seed, imageModel, images and fileName",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        "   Templates: {red|blue} choices, {@styles} reads styles.txt, ${name} uses the variables file",
+      ),
+    );
+    console.log(
+      chalk.gray(
+        this.config.removeCompletedPrompts
+          ? "   Completed prompts will be automatically removed from the file"
+          : "   Completed prompts are tracked in the run journal (file is left untouched)",
       ),
     );
 
-    const filePath = await this.promptUser(
+    const filePath = await this.ask(
       "\nEnter prompt file path (or press Enter to keep current): ",
+      value,
     );
 
     if (!filePath) {
       console.log(chalk.yellow("Prompt file unchanged."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      await this.pause();
+      return true;
     }
 
+    let loaded = false;
     try {
       const prompts = await this.loadPromptsFromFile(filePath);
-      await this.autoSaveSettings();
+      if (save) await this.autoSaveSettings();
+      loaded = true;
 
       console.log(chalk.green("✅ Prompt file set successfully!"));
       console.log(chalk.blue(`File: ${filePath}`));
       console.log(chalk.blue(`Prompts loaded: ${prompts.length}`));
 
+      // Preview what the templates in the file turned into
+      const expanded = prompts.filter((entry) => entry.template);
+      if (expanded.length > 0) {
+        const templateCount = new Set(expanded.map((entry) => entry.line)).size;
+        console.log(
+          chalk.blue(
+            `Templates: ${templateCount} line(s) expand to ${expanded.length} prompts (${this.describePromptTemplates()})`,
+          ),
+        );
+        const samples = [...expanded]
+          .sort(() => Math.random() - 0.5)
+          .slice(0, 5);
+        console.log(chalk.cyan("Samples:"));
+        for (const { prompt } of samples) {
+          console.log(chalk.gray(`  • ${prompt}`));
+        }
+      }
+
       if (prompts.length === 0) {
         console.log(
           chalk.yellow("⚠️  File is empty or contains no valid prompts"),
@@ -1047,17 +4030,20 @@ class WhiskTerminalApp {
       console.log(chalk.red(`❌ ${error.message}`));
     }
 
-    await this.promptUser("⏎ Press Enter to continue...");
+    await this.pause();
+    return loaded;
   }
 
   async viewStatus() {
-    console.clear();
+    this.clearScreen();
     console.log(chalk.blue.bold("\n📊 System Status\n"));
 
     // Configuration Status
     console.log(chalk.cyan.bold("🔧 Configuration Status:"));
     console.log(chalk.gray("━".repeat(50)));
 
+    console.log(`🗂️  Profile: ${this.describeActiveProfile()}`);
+
     // Tokens
     const tokenStatus =
       this.config.tokens.length > 0
@@ -1072,10 +4058,11 @@ class WhiskTerminalApp {
     if (this.config.promptFile) {
       try {
         const content = await fs.readFile(this.config.promptFile, "utf-8");
-        const prompts = content
-          .split("\n")
-          .map((line) => line.trim())
-          .filter((line) => line.length > 0 && !line.startsWith("#"));
+        const prompts = this.parsePrompts(
+          content,
+          this.getPromptFileFormat(this.config.promptFile),
+          { baseDir: path.dirname(this.config.promptFile) },
+        );
         promptCount = prompts.length;
 
         if (promptCount > 0) {
@@ -1083,8 +4070,10 @@ class WhiskTerminalApp {
         } else {
           promptStatus = `${chalk.yellow("⚠️")} File empty`;
         }
-      } catch {
-        promptStatus = `${chalk.red("❌")} File not accessible`;
+      } catch (error) {
+        promptStatus = error.code
+          ? `${chalk.red("❌")} File not accessible`
+          : `${chalk.red("❌")} Invalid prompt file: ${error.message}`;
       }
     }
     console.log(`📝 Prompt File: ${promptStatus}`);
@@ -1095,9 +4084,11 @@ class WhiskTerminalApp {
 
     try {
       await fs.access(this.config.outputDir);
-      const files = await fs.readdir(this.config.outputDir);
+      const files = await fs.readdir(this.config.outputDir, {
+        recursive: true,
+      });
       imageCount = files.filter((f) =>
-        f.toLowerCase().match(/\.(jpg|jpeg|png|webp)$/),
+        f.toLowerCase().match(/\.(jpg|jpeg|png|webp|avif)$/),
       ).length;
       outputStatus = `${chalk.green("✓")} Directory exists (${imageCount} images)`;
     } catch {
@@ -1105,6 +4096,36 @@ class WhiskTerminalApp {
     }
     console.log(`📁 Output Dir: ${outputStatus}`);
 
+    // Last run journal
+    try {
+      const lastRun = await RunJournal.loadLatest(this.journalDir);
+      if (lastRun) {
+        const counts = lastRun.getCounts();
+        const remaining = counts.pending + counts["in-progress"];
+        const runState =
+          remaining > 0
+            ? `${chalk.yellow("⏯️")} ${remaining} remaining (resumable)`
+            : `${chalk.green("✓")} finished`;
+        console.log(
+          `🧾 Last Run: ${lastRun.runId} - ${counts.done} done, ${counts.failed} failed, ${runState}`,
+        );
+      }
+    } catch {
+      console.log(`🧾 Last Run: ${chalk.red("❌")} Journal not readable`);
+    }
+
+    // Failed prompts waiting for a retry
+    try {
+      const failedRecords = await this.loadFailedPrompts();
+      if (failedRecords.length > 0) {
+        console.log(
+          `📮 Failed Prompts: ${chalk.yellow(failedRecords.length)} waiting for retry`,
+        );
+      }
+    } catch {
+      console.log(`📮 Failed Prompts: ${chalk.red("❌")} File not readable`);
+    }
+
     console.log(chalk.gray("━".repeat(50)));
 
     // Current Settings
@@ -1114,6 +4135,7 @@ class WhiskTerminalApp {
       `📐 Aspect Ratio: ${this.config.randomAspectRatio ? "🎲 Random" : this.config.aspectRatioDisplay}`,
     );
     console.log(`🗜️  Image Quality: ${this.config.compression}%`);
+    console.log(`🖼️  Output Format: ${this.describeOutputFormat()}`);
     console.log(`👥 Workers: ${this.config.workers}`);
     console.log(`⏱️  API Request Delay: ${this.config.requestDelay}ms`);
     console.log(chalk.gray("━".repeat(50)));
@@ -1153,319 +4175,797 @@ class WhiskTerminalApp {
       }
     }
 
-    await this.promptUser("\n⏎ Press Enter to continue...");
+    await this.pause("\n⏎ Press Enter to continue...");
   }
 
-  async generateImagesWorker(prompts, workerId, totalWorkers) {
-    const results = {
-      success: 0,
-      failed: 0,
-      images: [],
-      completedPrompts: [],
-      failedPrompts: [],
-    };
+  // Writes a static review site for the output directory: index.html with the
+  // data inlined, plus thumbnails. Full images are linked, not copied, so the
+  // site lives in the output directory by default.
+  async buildGallery({ out } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🖼️  Build Gallery\n"));
 
-    // Track consecutive prompts with 429/401 errors for this worker
-    let consecutivePromptErrors = 0;
-    const MAX_CONSECUTIVE_PROMPT_ERRORS = 3;
+    const galleryDir = path.resolve(
+      out || path.join(this.config.outputDir, "gallery"),
+    );
+    let images;
+    try {
+      images = await this.scanGalleryImages(galleryDir);
+    } catch (error) {
+      console.log(
+        chalk.red(
+          `❌ Could not read ${this.config.outputDir}: ${error.message}`,
+        ),
+      );
+      await this.pause();
+      return false;
+    }
 
-    // Calculate total prompts count for tracking progress
-    const totalPromptsForThisWorker = prompts.length;
+    if (images.length === 0) {
+      console.log(
+        chalk.yellow(`⚠️  No images found in ${this.config.outputDir}`),
+      );
+      await this.pause();
+      return false;
+    }
 
-    for (let i = 0; i < prompts.length; i++) {
-      const prompt = prompts[i];
+    // Thumbnails are named after the image path and only rebuilt when stale
+    const thumbsDir = path.join(galleryDir, "thumbs");
+    await fs.mkdir(thumbsDir, { recursive: true });
+    const spinner = ora({ isSilent: this.headless }).start();
+    const items = [];
+    for (const [index, image] of images.entries()) {
+      spinner.text = `Creating thumbnails ${index + 1}/${images.length}...`;
+      const thumbName = `${crypto.createHash("sha1").update(image.file).digest("hex").slice(0, 16)}.jpg`;
+      const thumbPath = path.join(thumbsDir, thumbName);
+      try {
+        const thumbStats = await fs.stat(thumbPath).catch(() => null);
+        if (!thumbStats || thumbStats.mtimeMs < image.mtimeMs) {
+          await sharp(image.filePath)
+            .rotate()
+            .resize({ width: 480, height: 480, fit: "inside" })
+            .jpeg({ quality: 75 })
+            .toFile(thumbPath);
+        }
+        const { width, height } = await sharp(image.filePath).metadata();
+        items.push({
+          ...image.info,
+          src: path
+            .relative(galleryDir, image.filePath)
+            .split(path.sep)
+            .join("/"),
+          thumb: `thumbs/${thumbName}`,
+          width,
+          height,
+          aspect: image.info.aspect ?? this.describeImageAspect(width / height),
+        });
+      } catch (error) {
+        spinner.warn(`Skipped ${image.file}: ${error.message}`);
+        spinner.start();
+      }
+    }
+    spinner.stop();
 
-      // Get aspect ratio for this image
-      let aspectRatio = this.config.aspectRatio;
-      let aspectDisplay = this.config.aspectRatioDisplay;
+    const indexPath = path.join(galleryDir, "index.html");
+    await fs.writeFile(indexPath, this.renderGalleryHtml(items));
 
-      if (this.config.randomAspectRatio) {
-        const randomAspect = this.getRandomAspectRatio();
-        aspectRatio = randomAspect.code;
-        aspectDisplay = randomAspect.display;
-      }
+    console.log(
+      chalk.green(`✅ Gallery with ${items.length} image(s) written`),
+    );
+    console.log(chalk.blue(`🌐 Open: ${chalk.cyan(indexPath)}`));
+    await this.pause();
+    return true;
+  }
 
-      // Format worker ID and prompt display
-      const workerId_display = `Worker ${workerId + 1}`;
-      // Calculate the current prompt position
-      const promptPosition = i + 1;
+  // Images of the output directory (same scan as viewStatus), with what their
+  // sidecar JSON and the run journals know about them. Derivatives are left out.
+  async scanGalleryImages(galleryDir) {
+    const outputDir = path.resolve(this.config.outputDir);
+    // Thumbnails of this and the default gallery are not gallery images
+    const skipDirs = [galleryDir, path.join(outputDir, "gallery")];
+    const files = (await fs.readdir(outputDir, { recursive: true }))
+      .filter((f) => f.toLowerCase().match(/\.(jpg|jpeg|png|webp|avif)$/))
+      .filter((f) =>
+        skipDirs.every(
+          (dir) => !path.resolve(outputDir, f).startsWith(dir + path.sep),
+        ),
+      )
+      .sort();
 
-      // Simple spinner with consistent format
-      const promptPreview =
-        prompt.substring(0, 40) + (prompt.length > 40 ? "..." : "");
-      const spinner = ora(
-        `${workerId_display}: [${promptPosition}/${totalPromptsForThisWorker}] ${aspectDisplay} - "${promptPreview}"`,
-      ).start();
-
-      // Get client for this job
-      const client = this.getNextClient();
-
-      let success = false;
-      let attempts = 0;
-      const maxAttempts = this.clients.length > 0 ? this.clients.length : 1;
-      let promptHadApiError = false; // Track if this prompt had a 429/401 error
-
-      while (!success && attempts < maxAttempts) {
-        // Get a client for this attempt
-        const client = this.getNextClient();
-
-        if (!client) {
-          spinner.fail(`\n\n${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): ❌ ERROR - No valid tokens available
-💬 Prompt: "${promptPreview}"\n`);
-          results.failed++;
-          break;
+    // Journals list the files of each prompt, which gives the run of an image
+    const runOfFile = new Map();
+    try {
+      for (const name of await fs.readdir(this.journalDir)) {
+        if (!/^run_\d+\.json$/.test(name)) continue;
+        const journal = JSON.parse(
+          await fs.readFile(path.join(this.journalDir, name), "utf-8"),
+        );
+        for (const item of journal.prompts || []) {
+          for (const file of item.files || []) {
+            runOfFile.set(path.resolve(file), journal.runId);
+          }
         }
+      }
+    } catch {
+      // No journals yet: images just have no run
+    }
+
+    const images = [];
+    const derivatives = new Set();
+    for (const file of files) {
+      const filePath = path.join(outputDir, file);
+      const { dir, name } = path.parse(filePath);
+      const { mtimeMs } = await fs.stat(filePath);
 
-        // Update spinner with retry information if this isn't the first attempt
-        if (attempts > 0) {
-          spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): Retrying with token "${client.name}"... (${attempts + 1}/${maxAttempts})`;
+      let metadata = null;
+      try {
+        metadata = JSON.parse(
+          await fs.readFile(path.join(dir, `${name}.json`), "utf-8"),
+        );
+        for (const derivative of metadata.derivatives || []) {
+          derivatives.add(path.join(outputDir, derivative));
         }
+      } catch {
+        // Images saved before sidecars existed only have a file name
+      }
 
-        try {
-          // Show which token is being used (first attempt)
-          if (attempts === 0) {
-            spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): Generating with token "${client.name}"...`;
-          }
+      // Token names stay out of the gallery
+      const aspect = Object.values(ASPECT_RATIO_OPTIONS).find(
+        (option) => option.code === metadata?.aspectRatio,
+      );
+      images.push({
+        file,
+        filePath,
+        mtimeMs,
+        info: {
+          file: file.split(path.sep).join("/"),
+          prompt: metadata?.prompt ?? null,
+          id: metadata?.id ?? null,
+          seed: metadata?.seed ?? null,
+          model: metadata?.imageModel ?? null,
+          aspect: aspect?.display ?? null,
+          run: runOfFile.get(filePath) ?? null,
+          createdAt: metadata?.createdAt ?? new Date(mtimeMs).toISOString(),
+        },
+      });
+    }
+    return images.filter((image) => !derivatives.has(image.filePath));
+  }
 
-          const result = await client.generateImage({
-            prompt: prompt,
-            aspectRatio: aspectRatio,
-            seed: Math.floor(Math.random() * 1000000),
-          });
-
-          // Update spinner to show we got a response
-          spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): Response received from token "${client.name}"`;
-
-          if (result.Err) {
-            attempts++;
-            
-            // Check if this is a 429 error (rate limit) or 401 error (unauthorized)
-            if (result.Err.message && (result.Err.message.includes("429") || result.Err.message.includes("401"))) {
-              const errorType = result.Err.message.includes("429") ? "Rate limit error (429)" : "Unauthorized error (401)";
-              spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): ${errorType}`;
-              promptHadApiError = true;
-            }
-            
-            if (attempts >= maxAttempts) {
-              const promptPreviewShort =
-                prompt.substring(0, 35) + (prompt.length > 35 ? "..." : "");
-              spinner.fail(
-                `\n\n${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): ❌ FAILED - All tokens attempted
-⚠️ Error: ${result.Err.message}
-💬 Prompt: "${promptPreviewShort}"\n`,
-              );
-              results.failed++;
-              results.failedPrompts.push(prompt);
-            } else {
-              spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): Retrying with different token... (${attempts + 1}/${maxAttempts})`;
-            }
-            continue;
-          }
+  // Closest aspect ratio option for images without metadata
+  describeImageAspect(ratio) {
+    const options = Object.values(ASPECT_RATIO_OPTIONS).map((option) => {
+      const [w, h] = option.display.match(/\d+/g).map(Number);
+      return { display: option.display, distance: Math.abs(w / h - ratio) };
+    });
+    return options.sort((a, b) => a.distance - b.distance)[0].display;
+  }
 
-          const imagePanel = result.Ok?.imagePanels;
-          if (!imagePanel || imagePanel.length === 0) {
-            attempts++;
-            if (attempts >= maxAttempts) {
-              const promptPreviewShort =
-                prompt.substring(0, 35) + (prompt.length > 35 ? "..." : "");
-              spinner.fail(
-                `\n\n${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): ❌ FAILED - No images generated with any token
-💬 Prompt: "${promptPreviewShort}"\n`,
-              );
-              results.failed++;
-              results.failedPrompts.push(prompt);
-            } else {
-              spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): No images returned, retrying... (${attempts + 1}/${maxAttempts})`;
-            }
-            continue;
-          }
+  renderGalleryHtml(items) {
+    // Inline JSON must not be able to close the script tag
+    const data = JSON.stringify(items).replace(/</g, "\\u003c");
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Whisk gallery</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.4 system-ui, sans-serif; background: #111; color: #eee; }
+  header { position: sticky; top: 0; z-index: 1; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; padding: 12px 16px; background: #1b1b1b; border-bottom: 1px solid #333; }
+  header h1 { margin: 0 12px 0 0; font-size: 18px; }
+  input, select { padding: 6px 8px; border: 1px solid #444; border-radius: 4px; background: #222; color: inherit; font: inherit; }
+  input[type=search] { flex: 1; min-width: 200px; }
+  #count { color: #999; }
+  main { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 12px; padding: 16px; }
+  figure { margin: 0; background: #1b1b1b; border-radius: 6px; overflow: hidden; cursor: zoom-in; }
+  figure img { display: block; width: 100%; aspect-ratio: 1; object-fit: cover; background: #222; }
+  figcaption { padding: 8px; font-size: 12px; color: #bbb; display: -webkit-box; -webkit-line-clamp: 3; -webkit-box-orient: vertical; overflow: hidden; }
+  #lightbox { position: fixed; inset: 0; z-index: 2; display: none; grid-template-columns: 1fr 320px; background: rgba(0, 0, 0, 0.92); }
+  #lightbox.open { display: grid; }
+  #lightbox .image { display: flex; align-items: center; justify-content: center; padding: 24px; min-height: 0; }
+  #lightbox .image img { max-width: 100%; max-height: 100%; object-fit: contain; }
+  #lightbox aside { overflow: auto; padding: 24px 16px; background: #1b1b1b; }
+  #lightbox aside p { white-space: pre-wrap; }
+  #lightbox dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; color: #bbb; }
+  #lightbox dt { color: #888; }
+  #lightbox dd { margin: 0; word-break: break-all; }
+  #lightbox button { padding: 6px 12px; border: 1px solid #444; border-radius: 4px; background: #222; color: inherit; cursor: pointer; }
+  @media (max-width: 700px) { #lightbox { grid-template-columns: 1fr; grid-template-rows: 1fr auto; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>Whisk gallery</h1>
+  <input type="search" id="search" placeholder="Search prompts">
+  <select id="aspect"><option value="">All aspect ratios</option></select>
+  <select id="run"><option value="">All runs</option></select>
+  <select id="date"><option value="">All dates</option></select>
+  <span id="count"></span>
+</header>
+<main id="grid"></main>
+<div id="lightbox">
+  <div class="image"><img alt=""></div>
+  <aside>
+    <button data-step="-1">← Previous</button>
+    <button data-step="1">Next →</button>
+    <button id="close">Close ✕</button>
+    <p id="prompt"></p>
+    <dl id="details"></dl>
+  </aside>
+</div>
+<script type="application/json" id="gallery-data">${data}</script>
+<script>
+  const items = JSON.parse(document.getElementById("gallery-data").textContent);
+  const $ = (id) => document.getElementById(id);
+  const dayOf = (item) => item.createdAt.slice(0, 10);
+  let visible = items;
+  let current = -1;
+
+  // Filter options come from the images themselves
+  for (const [id, valueOf] of [["aspect", (i) => i.aspect], ["run", (i) => i.run], ["date", dayOf]]) {
+    const values = [...new Set(items.map(valueOf).filter(Boolean))].sort().reverse();
+    for (const value of values) $(id).add(new Option(value, value));
+  }
 
-          let savedCount = 0;
-          for (const panel of imagePanel) {
-            for (const image of panel.generatedImages || []) {
-              const timestamp = Date.now();
-              const aspectShort = aspectDisplay.split(" ")[0]; // e.g., "landscape", "portrait", "square"
-              const fileName = `w${(workerId + 1).toString().padStart(2, "0")}_${timestamp}_${aspectShort}_${savedCount + 1}.jpg`;
-
-              // Update spinner to show we're saving the image
-              spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): Saving image ${savedCount + 1}...`;
-
-              const filePath = await this.saveImage(
-                image.encodedImage,
-                fileName,
-                this.config.compression < 100,
-              );
-              results.images.push(filePath);
-              savedCount++;
-
-              // Show file saved status in the spinner text
-              let fileSize = 0;
-              try {
-                const stats = fsSync.statSync(filePath);
-                fileSize = stats.size;
-              } catch (error) {
-                console.log(
-                  chalk.yellow(
-                    `⚠️  Warning: Could not get file size: ${error.message}`,
-                  ),
-                );
-              }
-              const fileSizeDisplay = (fileSize / 1024).toFixed(1) + "KB";
-              spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): Saved: ${fileName} (${fileSizeDisplay})`;
-            }
-          }
+  function render() {
+    const query = $("search").value.trim().toLowerCase();
+    visible = items.filter((item) =>
+      (!query || (item.prompt || item.file).toLowerCase().includes(query)) &&
+      (!$("aspect").value || item.aspect === $("aspect").value) &&
+      (!$("run").value || item.run === $("run").value) &&
+      (!$("date").value || dayOf(item) === $("date").value));
+    $("grid").replaceChildren(...visible.map((item, index) => {
+      const figure = document.createElement("figure");
+      const img = new Image();
+      img.src = item.thumb;
+      img.loading = "lazy";
+      img.alt = item.prompt || item.file;
+      const caption = document.createElement("figcaption");
+      caption.textContent = item.prompt || item.file;
+      figure.append(img, caption);
+      figure.onclick = () => show(index);
+      return figure;
+    }));
+    $("count").textContent = visible.length + " of " + items.length + " images";
+  }
 
-          // Remove this prompt from the file immediately after successful generation
-          const removed = await this.removePromptFromFile(
-            this.config.promptFile,
-            prompt,
-          );
+  function show(index) {
+    if (visible.length === 0) return;
+    current = (index + visible.length) % visible.length;
+    const item = visible[current];
+    $("lightbox").querySelector("img").src = item.src;
+    $("prompt").textContent = item.prompt || "(no prompt recorded)";
+    const details = [["File", item.file], ["Size", item.width + "×" + item.height], ["Aspect ratio", item.aspect],
+      ["Seed", item.seed], ["Model", item.model], ["Prompt id", item.id], ["Run", item.run],
+      ["Created", new Date(item.createdAt).toLocaleString()]];
+    $("details").replaceChildren(...details.filter(([, value]) => value != null).flatMap(([label, value]) => {
+      const dt = document.createElement("dt");
+      const dd = document.createElement("dd");
+      dt.textContent = label;
+      dd.textContent = value;
+      return [dt, dd];
+    }));
+    $("lightbox").classList.add("open");
+  }
 
-          // Complete the spinner with a multi-line structured success message
-          const promptPreviewShort =
-            prompt.substring(0, 35) + (prompt.length > 35 ? "..." : "");
-          const removeMsg = removed ? "\n🗑️ Prompt removed from file" : "";
-          spinner.succeed(
-            `\n\n${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): ✅ SUCCESS | Generated ${savedCount} image(s)
-🔑 Token: "${client.name}"
-📐 Format: ${aspectDisplay}
-💬 Prompt: "${promptPreviewShort}"${removeMsg}`,
-          );
-          results.success += savedCount;
-          results.completedPrompts.push(prompt);
-          success = true;
-          // This prompt was successful, reset flag
-          promptHadApiError = false;
-        } catch (error) {
-          attempts++;
-          
-          // Check if this is a 429 error (rate limit) or 401 error (unauthorized)
-          if (error.message && (error.message.includes("429") || error.message.includes("401"))) {
-            const errorType = error.message.includes("429") ? "Rate limit error (429)" : "Unauthorized error (401)";
-            spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): ${errorType}`;
-            promptHadApiError = true;
-          }
-          
-          if (attempts >= maxAttempts) {
-            const promptPreviewShort =
-              prompt.substring(0, 35) + (prompt.length > 35 ? "..." : "");
-            spinner.fail(
-              `\n\n${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): ❌ ERROR - All tokens failed
-⚠️ Error: ${error.message}
-💬 Prompt: "${promptPreviewShort}"\n`,
-            );
-            results.failed++;
-            results.failedPrompts.push(prompt);
-          } else {
-            spinner.text = `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): Network error, retrying... (${attempts + 1}/${maxAttempts})`;
-          }
-        }
+  function close() {
+    $("lightbox").classList.remove("open");
+    current = -1;
+  }
+
+  for (const id of ["search", "aspect", "run", "date"]) $(id).addEventListener("input", render);
+  $("close").onclick = close;
+  $("lightbox").querySelectorAll("[data-step]").forEach((button) => {
+    button.onclick = () => show(current + Number(button.dataset.step));
+  });
+  $("lightbox").onclick = (event) => { if (event.target.classList.contains("image")) close(); };
+  document.addEventListener("keydown", (event) => {
+    if (current < 0) return;
+    if (event.key === "Escape") close();
+    if (event.key === "ArrowLeft") show(current - 1);
+    if (event.key === "ArrowRight") show(current + 1);
+  });
+  render();
+</script>
+</body>
+</html>
+`;
+  }
+
+  getConfigSetters() {
+    return {
+      outputDir: (value) => this.configureOutputDirectory(value),
+      aspectRatio: (value) => this.configureAspectRatio(value),
+      compression: (value) => this.configureCompression(value),
+      workers: (value) => this.configureWorkers(value),
+      requestDelay: (value) => this.configureRequestDelay(value),
+      retryMaxAttempts: (value) =>
+        this.configureRetryOptions({ maxAttempts: value }),
+      retryBaseDelayMs: (value) =>
+        this.configureRetryOptions({ baseDelayMs: value }),
+      retryMaxDelayMs: (value) =>
+        this.configureRetryOptions({ maxDelayMs: value }),
+      requestTimeoutMs: (value) =>
+        this.configureRetryOptions({ timeoutMs: value }),
+      removeCompletedPrompts: (value) =>
+        this.configureRemoveCompletedPrompts(value),
+      outputTemplate: (value) => this.configureOutputTemplate(value),
+      outputFormat: (value) => this.configureOutputFormat(value),
+      effort: (value) => this.configureFormatOptions({ effort: value }),
+      chromaSubsampling: (value) =>
+        this.configureFormatOptions({ chromaSubsampling: value }),
+      postProcessing: (value) => this.configurePostProcessing(value),
+      apiBaseUrl: (value) =>
+        this.configureBackendOptions({ apiBaseUrl: value }),
+      mockBackend: (value) => this.configureBackendOptions({ enabled: value }),
+      mockLatencyMs: (value) =>
+        this.configureBackendOptions({ latencyMs: value }),
+      mockFailures: (value) =>
+        this.configureBackendOptions({ failures: value }),
+      templateMode: (value) =>
+        this.configurePromptTemplateOptions({ mode: value }),
+      templateSamples: (value) =>
+        this.configurePromptTemplateOptions({ samples: value }),
+      templateVariables: (value) =>
+        this.configurePromptTemplateOptions({ variablesFile: value }),
+      sweep: (value) => this.configureSweepOptions({ enabled: value }),
+      sweepAspectRatios: (value) =>
+        this.configureSweepOptions({ aspectRatios: value }),
+      sweepModels: (value) =>
+        this.configureSweepOptions({ imageModels: value }),
+      sweepSeeds: (value) => this.configureSweepOptions({ seeds: value }),
+      sweepImages: (value) => this.configureSweepOptions({ images: value }),
+      promptFile: (value) => this.setPromptFile(value),
+    };
+  }
+
+  showConfigValue(key) {
+    // Never print raw tokens, only their names
+    const visibleConfig = {
+      ...this.config,
+      tokens: this.config.tokens.map((t) => t.name),
+    };
+
+    if (!key) {
+      console.log(JSON.stringify(visibleConfig, null, 2));
+      return true;
+    }
+
+    if (!(key in visibleConfig)) {
+      console.log(chalk.red(`❌ Unknown setting: ${key}`));
+      return false;
+    }
+
+    const value = visibleConfig[key];
+    console.log(typeof value === "object" ? JSON.stringify(value) : value);
+    return true;
+  }
+
+  async setConfigValue(key, value) {
+    const setters = this.getConfigSetters();
+    if (!setters[key]) {
+      console.log(
+        chalk.red(
+          `❌ Setting "${key}" cannot be changed. Available: ${Object.keys(setters).join(", ")}`,
+        ),
+      );
+      return false;
+    }
+    return setters[key](value);
+  }
+
+  async loadFailedPrompts() {
+    try {
+      const data = await fs.readFile(this.failedPromptsFile, "utf-8");
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw new Error(
+        `Failed to read ${this.failedPromptsFile}: ${error.message}`,
+      );
+    }
+  }
+
+  async saveFailedPrompts(records) {
+    await fs.mkdir(path.dirname(this.failedPromptsFile), { recursive: true });
+    const tempPath = `${this.failedPromptsFile}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(records, null, 2));
+    await fs.rename(tempPath, this.failedPromptsFile);
+  }
+
+  // Keeps the failed prompts file in sync with a finished run: successes clear
+  // their record, failures add one or update the record of a retried prompt
+  async updateFailedPrompts(runId, completedEntries, failures) {
+    const records = await this.loadFailedPrompts();
+    const recordId = (entry) => entry.retryOf ?? `${runId}#${entry.runIndex}`;
+
+    const completedIds = new Set(completedEntries.map(recordId));
+    const remaining = records.filter((record) => !completedIds.has(record.id));
+
+    for (const failure of failures) {
+      const id = recordId(failure.entry);
+      const existing = remaining.find((record) => record.id === id);
+      // Source lines belong to the original prompt file, not to a retry
+      const { retryOf, runIndex, sourceLine, ...entry } = failure.entry;
+      // errorType, status, reason and requestId come from getErrorFields()
+      const { error, errorType, status, reason, requestId } = failure;
+      const record = {
+        id,
+        entry,
+        error,
+        ...(errorType && { errorType }),
+        ...(status && { status }),
+        ...(reason && { reason }),
+        ...(requestId && { requestId }),
+        token: failure.token ?? null,
+        attempts: (existing?.attempts ?? 0) + failure.attempts,
+        runId,
+        failedAt: new Date().toISOString(),
+      };
+      // Replaced rather than merged, so no error detail of an earlier attempt lingers
+      if (existing) {
+        remaining[remaining.indexOf(existing)] = record;
+      } else {
+        remaining.push(record);
       }
+    }
 
-      // Check if this prompt had a 429/401 error
-      if (promptHadApiError) {
-        consecutivePromptErrors++;
-        
-        // Log the consecutive errors
-        console.log(
-          chalk.yellow(
-            `${workerId_display}: ⚠️ ${consecutivePromptErrors}/${MAX_CONSECUTIVE_PROMPT_ERRORS} consecutive prompts with API errors (429/401)`,
-          ),
+    await this.saveFailedPrompts(remaining);
+    return remaining;
+  }
+
+  // Turns "name, 2, other" into token names; an empty selection means all tokens
+  resolveTokenSelection(selection) {
+    if (!selection) return [];
+    return selection
+      .split(",")
+      .map((part) => part.trim())
+      .filter((part) => part.length > 0)
+      .map((part) => {
+        const byName = this.config.tokens.find((t) => t.name === part);
+        if (byName) return byName.name;
+        const byNumber = this.config.tokens[parseInt(part) - 1];
+        if (/^\d+$/.test(part) && byNumber) return byNumber.name;
+        throw new Error(`Unknown token: ${part}`);
+      });
+  }
+
+  async retryFailedPrompts(tokenSelection) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🔁 Retry Failed Prompts\n"));
+
+    let records;
+    try {
+      records = await this.loadFailedPrompts();
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      await this.pause();
+      return null;
+    }
+
+    if (records.length === 0) {
+      console.log(chalk.green("✅ No failed prompts to retry."));
+      await this.pause();
+      return null;
+    }
+
+    console.log(
+      chalk.cyan(
+        `${records.length} failed prompt(s) in ${this.failedPromptsFile}:\n`,
+      ),
+    );
+    records.slice(0, 10).forEach((record, index) => {
+      const prompt = record.entry.prompt;
+      const preview =
+        prompt.substring(0, 40) + (prompt.length > 40 ? "..." : "");
+      console.log(`${chalk.cyan(`${index + 1}.`)} "${preview}"`);
+      console.log(
+        chalk.gray(
+          `   ⚠️ ${record.error} | 🔑 ${record.token ?? "-"} | Attempts: ${record.attempts}`,
+        ),
+      );
+    });
+    if (records.length > 10) {
+      console.log(chalk.gray(`   ...and ${records.length - 10} more`));
+    }
+
+    console.log(
+      chalk.cyan(
+        `\nAvailable tokens: ${this.config.tokens.map((t, i) => `${i + 1}. ${t.name}`).join(", ")}`,
+      ),
+    );
+    const selection = await this.ask(
+      "\nTokens to use (names or numbers, comma-separated; Enter for all): ",
+      tokenSelection,
+    );
+
+    let tokenNames;
+    try {
+      tokenNames = this.resolveTokenSelection(selection);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      await this.pause();
+      return null;
+    }
+
+    return this.generateImages({ retryFailed: true, tokenNames });
+  }
+
+  // e.g. "45s", "3m 20s", "2h 5m"
+  formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+  }
+
+  // Resolves every prompt into the request a run would send, without sending
+  // anything. Workers and tokens are assigned as if every request took equally
+  // long; random seeds and aspect ratios are sampled the way a run samples them.
+  buildGenerationPlan(entries, runClients) {
+    const workers = Math.max(1, Math.min(this.config.workers, entries.length));
+    const usableClients = runClients.filter((client) => client.isAvailable());
+    // The original format's extension is only known once the API answers, so
+    // names get a marker (token values are sanitized) shown as <original>
+    const original = this.config.outputFormat === "original";
+    const ext = original
+      ? "original-ext"
+      : OUTPUT_FORMATS[this.config.outputFormat].ext;
+    const generator = new Generator({
+      clients: runClients,
+      config: this.config,
+    });
+
+    // Prompts that only differ in case or spacing count as duplicates
+    const firstPosition = new Map();
+    const prompts = entries.map((entry, index) => {
+      const position = index + 1;
+      const workerId = index % workers;
+      const client = usableClients[index % usableClients.length] ?? null;
+      const aspect = generator.resolveEntryAspectRatio(entry);
+      const request = {
+        prompt: entry.prompt,
+        aspectRatio: aspect.code,
+        seed: entry.seed ?? Math.floor(Math.random() * 1000000),
+        imageModel: entry.imageModel ?? DEFAULT_IMAGE_MODEL,
+      };
+      const files = Array.from({ length: entry.images ?? 1 }, (_, i) => {
+        const fileName = generator.getImageFileName({
+          runId: "",
+          entry,
+          seed: request.seed,
+          aspectDisplay: aspect.display,
+          model: request.imageModel,
+          workerId,
+          tokenName: client?.name ?? "",
+          index: i + 1,
+          ext,
+        });
+        return path.join(
+          this.config.outputDir,
+          original
+            ? fileName.replace(/original-ext(?!.*original-ext)/, "<original>")
+            : fileName,
         );
-        
-        // Stop the worker if we've hit too many consecutive prompts with API errors
-        if (consecutivePromptErrors >= MAX_CONSECUTIVE_PROMPT_ERRORS) {
-          const promptPreviewShort =
-            prompt.substring(0, 35) + (prompt.length > 35 ? "..." : "");
-          console.log(
-            chalk.red(
-              `\n\n${workerId_display}: ❌ STOPPING WORKER - ${MAX_CONSECUTIVE_PROMPT_ERRORS} consecutive prompts with API errors (429/401)
-⚠️ All tokens appear to be rate-limited or unauthorized
-💬 Last prompt: "${promptPreviewShort}"\n`,
-            ),
-          );
-          
-          // Add remaining prompts to failedPrompts list
-          for (let j = i + 1; j < prompts.length; j++) {
-            results.failedPrompts.push(prompts[j]);
-            results.failed++;
-          }
-          
-          // Exit the loop to stop processing
-          return results;
-        }
-      } else {
-        // Reset counter on successful prompt
-        consecutivePromptErrors = 0;
-      }
-      
-      // Add delay between requests for same worker to be respectful to the API
-      if (i < prompts.length - 1) {
-        // Show waiting message if delay is significant
-        if (this.config.requestDelay >= 1000) {
-          const delaySeconds = (this.config.requestDelay / 1000).toFixed(1);
-          console.log(
-            chalk.dim(
-              `${workerId_display} (${promptPosition}/${totalPromptsForThisWorker}): ⏱️ Waiting ${delaySeconds}s before next prompt...\n`,
-            ),
-          );
-          await new Promise((resolve) =>
-            setTimeout(resolve, this.config.requestDelay),
-          );
+      });
+
+      // Sweep variants repeat their prompt on purpose
+      const key = `${entry.prompt.trim().toLowerCase().replace(/\s+/g, " ")}${entry.sweep ? `#${entry.sweep.variant}` : ""}`;
+      const duplicateOf = firstPosition.get(key) ?? null;
+      if (duplicateOf === null) firstPosition.set(key, position);
+
+      return {
+        position,
+        id: entry.id ?? null,
+        line: entry.line ?? null,
+        worker: workerId + 1,
+        token: client?.name ?? null,
+        request,
+        sampled: {
+          seed: entry.seed === undefined,
+          aspectRatio: !entry.aspectRatio && this.config.randomAspectRatio,
+        },
+        images: entry.images ?? null, // null: every image the API returns
+        sweep: entry.sweep ?? null,
+        files,
+        duplicateOf,
+      };
+    });
+
+    // Each worker takes every n-th prompt and waits requestDelay in between
+    const requestMs = this.isMockBackend()
+      ? this.config.mockBackend.latencyMs
+      : ESTIMATED_REQUEST_MS;
+    const rounds = Math.ceil(entries.length / workers);
+    const durationMs =
+      rounds * requestMs + Math.max(0, rounds - 1) * this.config.requestDelay;
+
+    return {
+      createdAt: new Date().toISOString(),
+      settings: {
+        workers,
+        requestDelay: this.config.requestDelay,
+        outputDir: this.config.outputDir,
+        outputFormat: this.config.outputFormat,
+        tokens: runClients.map((client) => client.name),
+        backend: this.isMockBackend() ? "mock" : this.config.apiBaseUrl,
+      },
+      estimate: { durationMs, requestMs, rounds },
+      duplicates: prompts.filter((p) => p.duplicateOf !== null).length,
+      unavailableTokens: usableClients.length === 0,
+      prompts,
+    };
+  }
+
+  // Prints a plan from buildGenerationPlan() and optionally exports it as JSON
+  // ("-" writes it to stdout). Returns the plan, or null if the export failed.
+  async showGenerationPlan(plan, planFile) {
+    console.log(chalk.cyan.bold("\n🧪 Dry Run: nothing will be sent\n"));
+
+    for (const item of plan.prompts) {
+      const { request, sampled } = item;
+      const preview =
+        request.prompt.substring(0, 40) +
+        (request.prompt.length > 40 ? "..." : "");
+      const aspect = Object.values(ASPECT_RATIO_OPTIONS).find(
+        (option) => option.code === request.aspectRatio,
+      );
+      console.log(
+        `${chalk.cyan(`#${item.position}`)} W${item.worker} [${chalk.yellow(item.token ?? "no token")}] "${preview}"`,
+      );
+      console.log(
+        chalk.gray(
+          `   ${aspect?.display ?? request.aspectRatio}${sampled.aspectRatio ? " (random)" : ""}, seed ${request.seed}${sampled.seed ? " (random)" : ""}, ${request.imageModel}`,
+        ),
+      );
+      console.log(
+        chalk.gray(
+          `   → ${item.files.join(", ")}${item.images === null ? " (+ one file per extra image returned)" : ""}`,
+        ),
+      );
+      if (item.duplicateOf !== null) {
+        console.log(chalk.yellow(`   ⚠️  Duplicate of #${item.duplicateOf}`));
+      }
+    }
+
+    const { durationMs, requestMs, rounds } = plan.estimate;
+    console.log(chalk.gray(`\n${"━".repeat(50)}`));
+    console.log(
+      `📝 ${plan.prompts.length} prompt(s) on ${plan.settings.workers} worker(s), ${rounds} per worker`,
+    );
+    console.log(
+      `⏱️  Estimated time: ~${this.formatDuration(durationMs)} (${requestMs / 1000}s per request + ${plan.settings.requestDelay}ms delay)`,
+    );
+    if (plan.duplicates > 0) {
+      console.log(chalk.yellow(`⚠️  ${plan.duplicates} duplicate prompt(s)`));
+    }
+    if (plan.unavailableTokens) {
+      console.log(
+        chalk.red(
+          "❌ No token is available right now (cooling down or revoked)",
+        ),
+      );
+    }
+    if (plan.prompts.some((p) => p.sampled.seed || p.sampled.aspectRatio)) {
+      console.log(
+        chalk.gray(
+          "💡 Random seeds and aspect ratios are picked again in the real run; set them per prompt to pin them",
+        ),
+      );
+    }
+
+    if (planFile === undefined && this.interactive) {
+      planFile = await this.promptUser(
+        "\nExport plan as JSON (file path, Enter to skip): ",
+      );
+    }
+    if (planFile) {
+      const json = JSON.stringify(plan, null, 2);
+      try {
+        if (planFile === "-") {
+          process.stdout.write(`${json}\n`);
         } else {
-          await new Promise((resolve) =>
-            setTimeout(resolve, this.config.requestDelay),
-          );
+          await fs.writeFile(planFile, json);
+          console.log(chalk.green(`✅ Plan written to ${planFile}`));
         }
+      } catch (error) {
+        console.log(chalk.red(`❌ Could not write plan: ${error.message}`));
+        await this.pause();
+        return null;
       }
     }
 
-    return results;
+    await this.pause();
+    return plan;
   }
 
-  async removeCompletedPromptsFromFile(completedPrompts) {
-    if (!this.config.promptFile || completedPrompts.length === 0) return false;
+  // Returns a run summary, { error } when the run broke off with an
+  // exception, or null when generation did not start
+  async generateImages({
+    confirm = true,
+    prompts,
+    resume = false,
+    retryFailed = false,
+    tokenNames,
+    dryRun = false,
+    planFile,
+  } = {}) {
+    this.clearScreen();
+    console.log(chalk.blue.bold("\n🚀 Image Generation\n"));
+
+    // Load current prompts from file unless they were supplied (e.g. from stdin),
+    // come from the unfinished part of the last run journal or from failed prompts
+    let currentPrompts = prompts || [];
+    let promptSource = prompts ? null : this.config.promptFile;
+    let journal = null;
+    if (retryFailed) {
+      let records;
+      try {
+        records = await this.loadFailedPrompts();
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        await this.pause();
+        return null;
+      }
+
+      if (records.length === 0) {
+        console.log(chalk.green("✅ No failed prompts to retry."));
+        await this.pause();
+        return null;
+      }
+
+      currentPrompts = records.map((record) => ({
+        ...record.entry,
+        retryOf: record.id,
+      }));
+      promptSource = this.failedPromptsFile;
+      console.log(
+        chalk.cyan(`🔁 Retrying ${records.length} failed prompt(s)\n`),
+      );
+    } else if (resume) {
+      try {
+        journal = await RunJournal.loadLatest(this.journalDir);
+      } catch (error) {
+        console.log(
+          chalk.red(`❌ Could not read run journal: ${error.message}`),
+        );
+        await this.pause();
+        return null;
+      }
 
-    let success = true;
-    for (const prompt of completedPrompts) {
-      const removed = await this.removePromptFromFile(
-        this.config.promptFile,
-        prompt,
-      );
-      if (!removed) success = false;
-    }
+      if (!journal || journal.getUnfinishedEntries().length === 0) {
+        console.log(chalk.yellow("⚠️  No interrupted run to resume."));
+        await this.pause();
+        return null;
+      }
 
-    if (success) {
-      console.log(
-        chalk.green(`📝 All completed prompts have been removed from file`),
-      );
-    } else {
+      currentPrompts = journal.getUnfinishedEntries();
+      promptSource = journal.data.promptFile;
+      const counts = journal.getCounts();
       console.log(
-        chalk.yellow(
-          `⚠️  Warning: Some prompts could not be removed from file`,
+        chalk.cyan(
+          `⏯️  Resuming ${journal.runId}: ${counts.done} done, ${counts.failed} failed, ${currentPrompts.length} remaining\n`,
         ),
       );
-    }
-
-    return success;
-  }
-
-  async generateImages() {
-    console.clear();
-    console.log(chalk.blue.bold("\n🚀 Image Generation\n"));
-
-    // Load current prompts from file
-    let currentPrompts = [];
-    if (this.config.promptFile) {
+    } else if (!prompts && this.config.promptFile) {
       try {
         currentPrompts = await this.loadPromptsFromFile(this.config.promptFile);
       } catch (error) {
         console.log(chalk.red(`❌ ${error.message}`));
-        await this.promptUser("⏎ Press Enter to continue...");
-        return;
+        await this.pause();
+        return null;
       }
     }
 
+    // Resumed and retried entries are sweep variants already
+    if (this.config.sweep.enabled && !resume && !retryFailed) {
+      currentPrompts = this.expandSweep(currentPrompts);
+    }
+
     // Check prerequisites
     if (this.config.tokens.length === 0) {
       console.log(
@@ -1476,8 +4976,45 @@ class WhiskTerminalApp {
           "💡 Go to: Main Menu → 1. Manage API Tokens → 1. Add New Token",
         ),
       );
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      await this.pause();
+      return null;
+    }
+
+    // Optionally restrict this run to a subset of tokens (by name); the active
+    // profile's tokens apply when none were chosen for the run
+    if (!tokenNames?.length) tokenNames = this.getActiveProfile()?.tokens;
+    let runClients = this.clients;
+    if (tokenNames && tokenNames.length > 0) {
+      const unknownNames = tokenNames.filter(
+        (name) => !this.clients.some((client) => client.name === name),
+      );
+      if (unknownNames.length > 0) {
+        console.log(
+          chalk.red(`❌ Unknown token(s): ${unknownNames.join(", ")}`),
+        );
+        await this.pause();
+        return null;
+      }
+      runClients = this.clients.filter((client) =>
+        tokenNames.includes(client.name),
+      );
+    }
+
+    // A broken pipeline would fail every prompt, so refuse to start instead
+    const postProcessingError = this.validatePostProcessing(
+      this.config.postProcessing,
+    );
+    if (postProcessingError) {
+      console.log(
+        chalk.red(`❌ Invalid post-processing: ${postProcessingError}`),
+      );
+      console.log(
+        chalk.blue(
+          "💡 Go to: Main Menu → 2. Settings → 10. Configure Post-Processing",
+        ),
+      );
+      await this.pause();
+      return null;
     }
 
     if (currentPrompts.length === 0) {
@@ -1487,30 +5024,43 @@ class WhiskTerminalApp {
         ),
       );
       console.log(chalk.blue("💡 Go to: Main Menu → 3. Set Prompt File"));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      await this.pause();
+      return null;
     }
 
     // Display generation info
     console.log(chalk.cyan.bold("📋 Generation Configuration:"));
     console.log(chalk.gray("━".repeat(50)));
-    console.log(`🔑 API Tokens: ${this.config.tokens.length}`);
+    console.log(
+      runClients.length === this.clients.length
+        ? `🔑 API Tokens: ${runClients.length}`
+        : `🔑 API Tokens: ${runClients.length} (${runClients.map((c) => c.name).join(", ")})`,
+    );
+    if (this.isMockBackend()) {
+      console.log(`🧪 API Backend: ${this.describeApiBackend()}`);
+    }
     console.log(`📝 Prompts: ${currentPrompts.length}`);
+    if (this.config.sweep.enabled) {
+      console.log(`🔬 Parameter Sweep: ${this.describeSweep()}`);
+    }
     console.log(`👥 Workers: ${this.config.workers}`);
     console.log(`⏱️  API Request Delay: ${this.config.requestDelay}ms`);
     console.log(
       `📐 Aspect Ratio: ${this.config.randomAspectRatio ? "🎲 Random" : this.config.aspectRatioDisplay}`,
     );
     console.log(`🗜️  Image Quality: ${this.config.compression}%`);
+    console.log(`🖼️  Output Format: ${this.describeOutputFormat()}`);
     console.log(`📁 Output Directory: ${this.config.outputDir}`);
-    console.log(`📄 Prompt File: ${path.basename(this.config.promptFile)}`);
+    console.log(
+      `📄 Prompt File: ${promptSource ? path.basename(promptSource) : "stdin"}`,
+    );
     console.log(chalk.gray("━".repeat(50)));
 
     // Show warnings if any
-    if (this.config.workers > this.config.tokens.length) {
+    if (this.config.workers > runClients.length) {
       console.log(
         chalk.yellow(
-          `⚠️  You have more workers (${this.config.workers}) than tokens (${this.config.tokens.length})`,
+          `⚠️  You have more workers (${this.config.workers}) than tokens (${runClients.length})`,
         ),
       );
       console.log(
@@ -1528,15 +5078,41 @@ class WhiskTerminalApp {
       );
     }
 
-    const confirm = await this.promptUser(
-      "\n🚀 Start generating images? (y/N): ",
-    );
+    const answer = dryRun
+      ? "d"
+      : await this.ask(
+          "\n🚀 Start generating images? (y/N, d for a dry run): ",
+          confirm ? undefined : "y",
+        );
 
-    if (confirm.toLowerCase() !== "y" && confirm.toLowerCase() !== "yes") {
+    if (answer.toLowerCase() === "d") {
+      const plan = this.buildGenerationPlan(currentPrompts, runClients);
+      return this.showGenerationPlan(plan, planFile);
+    }
+
+    if (answer.toLowerCase() !== "y" && answer.toLowerCase() !== "yes") {
       console.log(chalk.yellow("Generation cancelled."));
-      await this.promptUser("⏎ Press Enter to continue...");
-      return;
+      await this.pause();
+      return null;
+    }
+
+    // Every run is journaled so it can be resumed after a crash or Ctrl+C
+    try {
+      if (!journal) {
+        journal = await RunJournal.create(this.journalDir, currentPrompts, {
+          promptFile: promptSource,
+        });
+        currentPrompts = journal.getUnfinishedEntries();
+      }
+    } catch (error) {
+      console.log(
+        chalk.red(`❌ Could not create run journal: ${error.message}`),
+      );
+      await this.pause();
+      return null;
     }
+    console.log(chalk.gray(`🧾 Run journal: ${journal.filePath}`));
+    await this.ensureOutputDir();
 
     console.log(
       chalk.blue(
@@ -1544,85 +5120,117 @@ class WhiskTerminalApp {
       ),
     );
 
-    const startTime = Date.now();
-
-    // Split prompts among workers
-    const promptsPerWorker = [];
-    for (let i = 0; i < this.config.workers; i++) {
-      promptsPerWorker[i] = [];
-    }
+    let summary = null;
 
-    // Distribute prompts round-robin style
-    currentPrompts.forEach((prompt, index) => {
-      const workerIndex = index % this.config.workers;
-      promptsPerWorker[workerIndex].push(prompt);
+    // Workers pull from one shared queue; the pool can grow or shrink mid-run.
+    // Completed prompts are removed from the file they were read from, which
+    // for a resumed run is the one in its journal (retries have no such file)
+    const generator = new Generator({
+      clients: runClients,
+      config: {
+        ...this.config,
+        promptFile: retryFailed ? null : promptSource,
+      },
     });
+    this.renderGeneratorEvents(generator);
+    this.generator = generator;
 
-    // Show worker distribution
-    console.log(chalk.cyan("👥 Worker Distribution:"));
-    promptsPerWorker.forEach((prompts, workerId) => {
-      if (prompts.length > 0) {
-        console.log(`   Worker ${workerId + 1}: ${prompts.length} prompts`);
-      }
-    });
+    console.log(
+      chalk.cyan(
+        `📥 Shared queue: ${currentPrompts.length} prompts, pulled by workers as they become free`,
+      ),
+    );
+    if (process.platform !== "win32") {
+      console.log(
+        chalk.gray(
+          `   Send SIGUSR1 / SIGUSR2 to PID ${process.pid} to add / remove a worker`,
+        ),
+      );
+    }
     console.log(
       chalk.blue(
-        `\n🚀 Starting ${this.config.workers} worker(s) with ${this.config.tokens.length} token(s)...\n`,
+        `\n🚀 Starting ${this.config.workers} worker(s) with ${runClients.length} token(s)...\n`,
       ),
     );
 
-    // Start workers
-    const workerPromises = promptsPerWorker.map((prompts, workerId) => {
-      if (prompts.length === 0)
-        return Promise.resolve({
-          success: 0,
-          failed: 0,
-          images: [],
-          completedPrompts: [],
-        });
-      return this.generateImagesWorker(prompts, workerId, this.config.workers);
-    });
+    const addWorker = () =>
+      this.setWorkerCount(generator.workers + 1, { save: false });
+    const removeWorker = () =>
+      this.setWorkerCount(generator.workers - 1, { save: false });
+    if (process.platform !== "win32") {
+      process.on("SIGUSR1", addWorker);
+      process.on("SIGUSR2", removeWorker);
+    }
+
+    // First Ctrl+C / SIGTERM: stop taking prompts, cancel in-flight requests and
+    // let saves finish so no file is left half-written. Second one: quit now.
+    const onShutdownSignal = (signalName) => {
+      if (generator.stopped) {
+        console.log(chalk.red("\n⛔ Forced quit"));
+        process.exit(EXIT_CODES.INTERRUPTED);
+      }
+      console.log(
+        chalk.yellow(
+          `\n⏹️  ${signalName} received - stopping after in-flight work. Press Ctrl+C again to force quit.`,
+        ),
+      );
+      this.emitEvent("interrupted", { signal: signalName });
+      generator.stop();
+    };
+    process.on("SIGINT", onShutdownSignal);
+    process.on("SIGTERM", onShutdownSignal);
 
     try {
-      const results = await Promise.all(workerPromises);
+      const results = await generator.run(currentPrompts, { journal });
+      const { interrupted } = results;
 
-      // Aggregate results
-      const totalSuccess = results.reduce(
-        (sum, result) => sum + result.success,
-        0,
-      );
-      const totalFailed = results.reduce(
-        (sum, result) => sum + result.failed,
-        0,
-      );
-      const allImages = results.flatMap((result) => result.images);
-      const allCompletedPrompts = results.flatMap(
-        (result) => result.completedPrompts,
-      );
-      const allFailedPrompts = results.flatMap(
-        (result) => result.failedPrompts,
-      );
+      // Keep failed prompts (with their last error) for a later retry
+      let failedRecords = [];
+      try {
+        failedRecords = await this.updateFailedPrompts(
+          journal.runId,
+          results.completedPrompts,
+          results.failedPrompts,
+        );
+      } catch (error) {
+        console.log(
+          chalk.yellow(
+            `⚠️  Warning: Could not save failed prompts: ${error.message}`,
+          ),
+        );
+      }
 
-      const endTime = Date.now();
-      const duration = Math.round((endTime - startTime) / 1000);
-      const minutes = Math.floor(duration / 60);
-      const seconds = duration % 60;
-      const timeStr = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+      const duration = Math.round(results.durationMs / 1000);
+      const timeStr = this.formatDuration(results.durationMs);
 
       // Prompts are already removed individually after successful generation
 
       // Final results
-      console.log(chalk.green.bold(`\n✅ Generation Complete!`));
+      console.log(
+        interrupted
+          ? chalk.yellow.bold(`\n⏹️  Generation Interrupted`)
+          : chalk.green.bold(`\n✅ Generation Complete!`),
+      );
       console.log(chalk.gray("━".repeat(50)));
       console.log(
         chalk.green(
-          `✓ Successfully generated: ${chalk.green.bold(totalSuccess)} images`,
+          `✓ Successfully generated: ${chalk.green.bold(results.succeeded)} images`,
         ),
       );
 
-      if (totalFailed > 0) {
+      if (results.failed > 0) {
         console.log(
-          chalk.red(`❌ Failed prompts: ${chalk.red.bold(totalFailed)}`),
+          chalk.red(`❌ Failed prompts: ${chalk.red.bold(results.failed)}`),
+        );
+      }
+      if (failedRecords.length > 0) {
+        console.log(
+          chalk.yellow(
+            `📮 ${failedRecords.length} failed prompt(s) saved to ${this.failedPromptsFile}`,
+          ),
+        );
+        console.log(
+          chalk.blue('💡 Use "Retry Failed Prompts" to re-queue only those'),
         );
       }
 
@@ -1631,49 +5239,291 @@ class WhiskTerminalApp {
         chalk.blue(`📁 Images saved to: ${chalk.cyan(this.config.outputDir)}`),
       );
 
-      // Calculate remaining prompts based on the current file
-      let remainingPrompts = 0;
-      try {
-        const remainingPromptsList = await this.loadPromptsFromFile(
-          this.config.promptFile,
-        );
-        remainingPrompts = remainingPromptsList.length;
-      } catch (error) {
-        console.log(
-          chalk.yellow(
-            `⚠️  Warning: Could not count remaining prompts: ${error.message}`,
-          ),
-        );
-      }
+      // Prompts never attempted (e.g. a worker stopped early) stay pending in the journal
+      const runCounts = journal.getCounts();
+      const remainingPrompts = runCounts.pending + runCounts["in-progress"];
       if (remainingPrompts > 0) {
         console.log(chalk.yellow(`📝 Remaining prompts: ${remainingPrompts}`));
         console.log(
-          chalk.blue("💡 Run generation again to process remaining prompts"),
+          chalk.blue(
+            `💡 Use "Resume Last Run" to process remaining prompts of ${journal.runId}`,
+          ),
         );
-      } else {
+      } else if (results.failed === 0) {
         console.log(chalk.green("🎉 All prompts completed!"));
       }
 
       console.log(
         chalk.gray(
-          `🔧 Used ${this.config.workers} worker(s) with ${this.config.tokens.length} token(s)`,
+          `🔧 Used ${results.workersUsed} worker(s) with ${runClients.length} token(s)`,
         ),
       );
 
-      if (totalSuccess > 0) {
-        const avgTimePerImage = Math.round((duration / totalSuccess) * 10) / 10;
+      summary = {
+        runId: results.runId,
+        succeeded: results.succeeded,
+        failed: results.failed,
+        images: results.images,
+        completedPrompts: results.completedPrompts,
+        failedPrompts: results.failedPrompts,
+        rateLimited: results.rateLimited,
+        interrupted,
+        pending: remainingPrompts,
+        durationSeconds: duration,
+      };
+
+      if (results.succeeded > 0) {
+        const avgTimePerImage =
+          Math.round((duration / results.succeeded) * 10) / 10;
         console.log(chalk.gray(`📊 Average: ${avgTimePerImage}s per image`));
       }
     } catch (error) {
       console.log(chalk.red(`❌ Generation error: ${error.message}`));
+      summary = { error: error.message };
+    } finally {
+      this.generator = null;
+      await this.saveTokenHealth();
+      process.off("SIGUSR1", addWorker);
+      process.off("SIGUSR2", removeWorker);
+      process.off("SIGINT", onShutdownSignal);
+      process.off("SIGTERM", onShutdownSignal);
+    }
+
+    if (!summary?.interrupted) {
+      await this.pause("\n⏎ Press Enter to continue...");
+    }
+    return summary;
+  }
+
+  // Renders a run's events as one spinner per worker plus log lines, and as
+  // NDJSON progress events in headless mode
+  renderGeneratorEvents(generator) {
+    const spinners = new Map();
+    const preview = (prompt, length) =>
+      prompt.substring(0, length) + (prompt.length > length ? "..." : "");
+    const label = ({ worker, position, total }) =>
+      `Worker ${worker} (${position}/${total})`;
+    const failureTitles = {
+      "no-tokens": "ERROR - No valid tokens available",
+      rejected: "FAILED - Rejected by the API",
+      "all-tokens-attempted": "FAILED - All tokens attempted",
+      "no-images": "FAILED - No images generated with any token",
+      "all-tokens-failed": "ERROR - All tokens failed",
+    };
+
+    generator.on("promptStart", (event) => {
+      const { entry, worker, position, total, aspectRatio } = event;
+      const spinner = ora({
+        text: `Worker ${worker}: [${position}/${total}] ${aspectRatio.display} - "${preview(entry.prompt, 40)}"`,
+        isSilent: this.headless,
+      }).start();
+      spinners.set(worker, spinner);
+      this.emitEvent("started", { prompt: entry.prompt, id: entry.id, worker });
+    });
+
+    generator.on("promptStatus", (event) => {
+      spinners.get(event.worker).text = `${label(event)}: ${event.message}`;
+    });
+
+    generator.on("imageSaved", (event) => {
+      const savedName = path.relative(this.config.outputDir, event.filePath);
+      const sizeDisplay = (event.size / 1024).toFixed(1) + "KB";
+      console.log(chalk.green(`✓ Saved: ${savedName} (${sizeDisplay})`));
+      spinners.get(event.worker).text =
+        `${label(event)}: Saved: ${savedName} (${sizeDisplay})`;
+    });
+
+    generator.on("promptDone", (event) => {
+      const { entry, worker, token, aspectRatio, paths, derivatives } = event;
+      const removeMsg = event.removed ? "\n🗑️ Prompt removed from file" : "";
+      const derivativesMsg =
+        derivatives.length > 0
+          ? `\n🧩 Derivatives: ${derivatives.map((p) => path.relative(this.config.outputDir, p)).join(", ")}`
+          : "";
+      spinners.get(worker).succeed(
+        `\n\n${label(event)}: ✅ SUCCESS | Generated ${paths.length} image(s)
+🔑 Token: "${token}"
+📐 Format: ${aspectRatio.display}
+💬 Prompt: "${preview(entry.prompt, 35)}"${derivativesMsg}${removeMsg}`,
+      );
+      this.emitEvent("saved", {
+        prompt: entry.prompt,
+        id: entry.id,
+        worker,
+        token,
+        paths,
+        derivatives,
+      });
+    });
+
+    // Prompts stranded after every worker stopped have no worker or spinner
+    generator.on("promptFailed", (event) => {
+      const { kind, error } = event;
+      const { entry, ...fields } = event.failure;
+      if (kind !== "stranded") {
+        const details = error ? `\n${this.describeApiError(error)}` : "";
+        const length = kind === "no-tokens" ? 40 : 35;
+        spinners.get(event.worker).fail(
+          `\n\n${label(event)}: ❌ ${failureTitles[kind]}${details}
+💬 Prompt: "${preview(entry.prompt, length)}"\n`,
+        );
+      }
+      this.emitEvent("failed", {
+        prompt: entry.prompt,
+        id: entry.id,
+        ...fields,
+      });
+    });
+
+    generator.on("warning", ({ worker, message }) => {
+      console.log(
+        chalk.yellow(
+          worker
+            ? `Worker ${worker}: ⚠️ ${message}`
+            : `⚠️  Warning: ${message}`,
+        ),
+      );
+    });
+
+    // Show waiting message if delay is significant
+    generator.on("waiting", (event) => {
+      if (event.ms < 1000) return;
+      console.log(
+        chalk.dim(
+          `${label(event)}: ⏱️ Waiting ${(event.ms / 1000).toFixed(1)}s before next prompt...\n`,
+        ),
+      );
+    });
+
+    generator.on("workerStopped", (event) => {
+      if (event.reason === "interrupted") {
+        spinners
+          .get(event.worker)
+          .warn(
+            `${label(event)}: ⏹️ Interrupted - prompt left pending for "Resume Last Run"`,
+          );
+      } else if (event.reason === "api-errors") {
+        const max = Generator.MAX_CONSECUTIVE_PROMPT_ERRORS;
+        console.log(
+          chalk.red(
+            `\n\nWorker ${event.worker}: ❌ STOPPING WORKER - ${max} consecutive prompts with API errors (429/401)
+⚠️ All tokens appear to be rate-limited or unauthorized
+💬 Last prompt: "${preview(event.entry.prompt, 35)}"\n`,
+          ),
+        );
+      }
+    });
+
+    generator.on("workers", ({ count, previous }) => {
+      console.log(chalk.cyan(`👥 Workers: ${previous} → ${count}`));
+      this.emitEvent("workers", { count });
+    });
+  }
+
+  // Changes the number of workers of the running generation (and, when saving,
+  // the configured default). Extra workers stop after their current prompt.
+  async setWorkerCount(count, { save = true } = {}) {
+    if (!Number.isInteger(count) || count < 1 || count > 10) {
+      console.log(chalk.yellow(`⚠️  Workers must stay between 1 and 10`));
+      return false;
     }
 
-    await this.promptUser("\n⏎ Press Enter to continue...");
+    if (save) {
+      this.config.workers = count;
+      await this.autoSaveSettings();
+    }
+
+    this.generator?.setWorkers(count);
+    return true;
+  }
+
+  // Runs the HTTP job server until Ctrl+C / SIGTERM
+  async serve({ port = 8788, host = "127.0.0.1", secret } = {}) {
+    if (this.clients.length === 0) {
+      console.log(
+        chalk.red("❌ No API tokens configured! Please add tokens first."),
+      );
+      return false;
+    }
+
+    secret ||= process.env.WHISK_SERVER_SECRET;
+    const generatedSecret = !secret;
+    if (generatedSecret) secret = crypto.randomBytes(18).toString("base64url");
+
+    const server = new JobServer(this, { secret });
+    try {
+      await server.listen(Number(port), host);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      return false;
+    }
+
+    console.log(
+      chalk.green(
+        `🌐 Job server listening on http://${host}:${port} with ${this.clients.length} token(s)`,
+      ),
+    );
+    if (generatedSecret) {
+      console.log(
+        chalk.yellow(`🔑 Secret for the X-Whisk-Secret header: ${secret}`),
+      );
+      console.log(
+        chalk.gray(
+          "   Set WHISK_SERVER_SECRET or pass --secret to keep it across restarts",
+        ),
+      );
+    }
+    console.log(
+      chalk.gray(`   POST /jobs                        submit { prompts, settings }
+   GET  /jobs, /jobs/:id             list jobs, per-prompt status
+   POST /jobs/:id/cancel             cancel a job
+   GET  /jobs/:id/images[/<file>]    list or download images
+   GET  /events, /jobs/:id/events    progress as Server-Sent Events`),
+    );
+
+    // First Ctrl+C lets the running job finish its in-flight work, a second one quits
+    await new Promise((resolve) => {
+      const onShutdownSignal = async (signalName) => {
+        process.off("SIGINT", onShutdownSignal);
+        process.off("SIGTERM", onShutdownSignal);
+        console.log(
+          chalk.yellow(
+            `\n⏹️  ${signalName} received - stopping the job server`,
+          ),
+        );
+        await server.close();
+        resolve();
+      };
+      process.on("SIGINT", onShutdownSignal);
+      process.on("SIGTERM", onShutdownSignal);
+    });
+    return true;
+  }
+
+  getExitCode(summary) {
+    if (!summary) return EXIT_CODES.MISCONFIGURED;
+    if (summary.error) return EXIT_CODES.RUN_ERROR;
+    if (summary.interrupted) return EXIT_CODES.INTERRUPTED;
+    if (summary.failed === 0) return EXIT_CODES.SUCCESS;
+    if (summary.rateLimited) return EXIT_CODES.RATE_LIMITED;
+    return EXIT_CODES.PARTIAL_FAILURE;
   }
 
-  async run() {
+  // Ctrl+C during a run ends the whole program once the summary is printed
+  exitIfInterrupted(summary) {
+    if (summary?.interrupted) process.exit(EXIT_CODES.INTERRUPTED);
+  }
+
+  async run({ profile, mock = false } = {}) {
     // Auto-load settings at startup
     await this.autoLoadSettings();
+    if (mock) {
+      this.mockSession = true;
+      this.initializeClients();
+    }
+    if (profile && !(await this.switchProfile(profile, { save: false }))) {
+      process.exit(EXIT_CODES.MISCONFIGURED);
+    }
 
     console.log(chalk.blue.bold("\n🎨 Welcome to Whisk AI Image Generator!"));
     console.log(
@@ -1682,7 +5532,7 @@ class WhiskTerminalApp {
       ),
     );
 
-    await this.promptUser("⏎ Press Enter to continue...");
+    await this.pause();
 
     while (true) {
       const choice = await this.showMainMenu();
@@ -1698,28 +5548,394 @@ class WhiskTerminalApp {
           await this.setPromptFile();
           break;
         case "4":
-          await this.generateImages();
+          this.exitIfInterrupted(await this.generateImages());
           break;
         case "5":
-          await this.viewStatus();
+          this.exitIfInterrupted(await this.generateImages({ resume: true }));
           break;
         case "6":
+          this.exitIfInterrupted(await this.retryFailedPrompts());
+          break;
+        case "7":
+          await this.viewStatus();
+          break;
+        case "8":
+          await this.handleProfileManagement();
+          break;
+        case "9":
+          await this.buildGallery();
+          break;
+        case "10":
           console.log(
             chalk.blue("👋 Thank you for using Whisk AI Image Generator!"),
           );
           console.log(chalk.gray("Settings have been automatically saved."));
           process.exit(0);
         default:
-          console.log(chalk.red("❌ Invalid option. Please select 1-6."));
-          await this.promptUser("⏎ Press Enter to continue...");
+          console.log(chalk.red("❌ Invalid option. Please select 1-10."));
+          await this.pause();
       }
     }
   }
 }
 
-// Create and run the app
+// Non-interactive commands load settings, skip pauses and exit non-zero on failure
 const app = new WhiskTerminalApp();
-app.run().catch((error) => {
+
+const runCommand =
+  (handler) =>
+  async (...args) => {
+    app.interactive = false;
+    await app.autoLoadSettings();
+    // --profile and --mock apply to this command only
+    const { profile, mock } = program.opts();
+    if (mock) {
+      app.mockSession = true;
+      app.initializeClients();
+    }
+    if (profile && !(await app.switchProfile(profile, { save: false }))) {
+      process.exitCode = EXIT_CODES.MISCONFIGURED;
+      return;
+    }
+    const ok = await handler(...args);
+    if (ok === false) process.exitCode = 1;
+  };
+
+program
+  .name("whisk")
+  .description("Whisk AI Image Generator")
+  .option("-i, --interactive", "open the interactive menu (default)")
+  .option("-P, --profile <name>", "use a settings profile for this session")
+  .option("--mock", "use the built-in mock backend for this session")
+  .action((options) => app.run(options));
+
+program
+  .command("generate")
+  .description("generate images for every prompt in a prompt file")
+  .option(
+    "-p, --prompts <file>",
+    'prompt file, or "-" for stdin (defaults to saved prompt file)',
+  )
+  .option("-w, --workers <n>", "number of parallel workers (1-10)")
+  .option(
+    "-a, --aspect <ratio>",
+    `aspect ratio: random, ${Object.keys(ASPECT_RATIO_OPTIONS).join(", ")}`,
+  )
+  .option("-q, --quality <n>", "image quality percentage (1-100)")
+  .option(
+    "-f, --format <format>",
+    `output format: ${Object.keys(OUTPUT_FORMATS).join(", ")}`,
+  )
+  .option("-o, --out <dir>", "output directory")
+  .option("-r, --resume", "resume the unfinished prompts of the last run")
+  .option("--retry-failed", "re-queue only the prompts that failed before")
+  .option(
+    "-t, --tokens <names>",
+    "comma-separated token names or numbers to use (default: all)",
+  )
+  .option(
+    "--headless",
+    "no spinners or confirmations; print one NDJSON event per prompt to stdout",
+  )
+  .option(
+    "-n, --dry-run",
+    "show what would be generated (requests, workers, tokens, files) without sending anything",
+  )
+  .option(
+    "--plan <file>",
+    'with --dry-run, also write the plan as JSON ("-" for stdout)',
+  )
+  .option(
+    "--sweep",
+    "generate every prompt once per combination of the sweep settings",
+  )
+  .option(
+    "--sweep-aspects <names>",
+    "comma-separated aspect ratios to sweep (implies --sweep)",
+  )
+  .option(
+    "--sweep-models <names>",
+    "comma-separated image models to sweep (implies --sweep)",
+  )
+  .option(
+    "--sweep-seeds <seeds>",
+    "seeds to sweep, e.g. 1,2,3 or 100-104 (implies --sweep)",
+  )
+  .option(
+    "--sweep-images <n>",
+    "images per sweep combination (implies --sweep)",
+  )
+  .addHelpText(
+    "after",
+    `
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  all prompts succeeded
+  ${EXIT_CODES.PARTIAL_FAILURE}  some prompts failed
+  ${EXIT_CODES.RATE_LIMITED}  stopped because all tokens were rate-limited or unauthorized
+  ${EXIT_CODES.MISCONFIGURED}  misconfiguration (no tokens, no prompts or invalid options)
+  ${EXIT_CODES.RUN_ERROR}  the run stopped on an unexpected error (resume with --resume)
+  ${EXIT_CODES.INTERRUPTED}  interrupted by Ctrl+C or SIGTERM (resume with --resume)`,
+  )
+  .hook("preAction", (command) => {
+    // Switch output before settings load so nothing human-readable hits stdout
+    const { headless, plan } = command.opts();
+    if (headless) app.enableHeadlessMode();
+    // --plan - keeps stdout for the plan JSON the same way
+    else if (plan === "-") console.log = console.error;
+  })
+  .action(
+    runCommand(async (options) => {
+      // "-" reads prompts from stdin instead of a file
+      let prompts;
+      if (options.prompts === "-") {
+        try {
+          prompts = await app.loadPromptsFromStdin();
+        } catch (error) {
+          console.log(
+            chalk.red(`❌ Failed to read prompts from stdin: ${error.message}`),
+          );
+          app.emitEvent("error", { error: error.message });
+          process.exitCode = EXIT_CODES.MISCONFIGURED;
+          return;
+        }
+      }
+
+      let tokenNames;
+      try {
+        tokenNames = app.resolveTokenSelection(options.tokens);
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        app.emitEvent("error", { error: error.message });
+        process.exitCode = EXIT_CODES.MISCONFIGURED;
+        return;
+      }
+
+      // Overrides apply to this run only and are not written to settings.json
+      const sweepOptions = {
+        aspectRatios: options.sweepAspects,
+        imageModels: options.sweepModels,
+        seeds: options.sweepSeeds,
+        images: options.sweepImages,
+      };
+      const sweepRequested =
+        options.sweep ||
+        Object.values(sweepOptions).some((value) => value !== undefined);
+      const overrides = [
+        [
+          options.prompts === "-" ? undefined : options.prompts,
+          (v) => app.setPromptFile(v, { save: false }),
+        ],
+        [options.workers, (v) => app.configureWorkers(v, { save: false })],
+        [options.aspect, (v) => app.configureAspectRatio(v, { save: false })],
+        [options.quality, (v) => app.configureCompression(v, { save: false })],
+        [options.format, (v) => app.configureOutputFormat(v, { save: false })],
+        [options.out, (v) => app.configureOutputDirectory(v, { save: false })],
+        [
+          sweepRequested ? { ...sweepOptions, enabled: "on" } : undefined,
+          (v) => app.configureSweepOptions(v, { save: false }),
+        ],
+      ];
+      for (const [value, apply] of overrides) {
+        if (value !== undefined && !(await apply(value))) {
+          app.emitEvent("error", { error: "Invalid generation options" });
+          process.exitCode = EXIT_CODES.MISCONFIGURED;
+          return;
+        }
+      }
+
+      if (options.dryRun) {
+        const plan = await app.generateImages({
+          prompts,
+          resume: options.resume,
+          retryFailed: options.retryFailed,
+          tokenNames,
+          dryRun: true,
+          planFile: options.plan,
+        });
+        process.exitCode = plan ? EXIT_CODES.SUCCESS : EXIT_CODES.MISCONFIGURED;
+        return;
+      }
+
+      const summary = await app.generateImages({
+        confirm: false,
+        prompts,
+        resume: options.resume,
+        retryFailed: options.retryFailed,
+        tokenNames,
+      });
+      if (!summary) {
+        app.emitEvent("error", { error: "Generation could not start" });
+      } else if (summary.error) {
+        app.emitEvent("error", { error: summary.error });
+      } else {
+        app.emitEvent("summary", {
+          runId: summary.runId,
+          succeeded: summary.completedPrompts.length,
+          failed: summary.failedPrompts.length,
+          images: summary.images.length,
+          rateLimited: summary.rateLimited,
+          interrupted: summary.interrupted,
+          pending: summary.pending,
+        });
+      }
+      process.exitCode = app.getExitCode(summary);
+    }),
+  );
+
+const tokens = program.command("tokens").description("manage API tokens");
+
+tokens
+  .command("add <token>")
+  .description("add an API token")
+  .option("-n, --name <name>", "name used to identify the token")
+  .action(runCommand((token, options) => app.addToken(token, options.name)));
+
+tokens
+  .command("list")
+  .description("list configured tokens (masked)")
+  .action(runCommand(() => app.viewTokens()));
+
+tokens
+  .command("test")
+  .description("check every token against the API (exits 1 if any fails)")
+  .action(runCommand(() => app.testAllTokens()));
+
+tokens
+  .command("remove <token>")
+  .description("remove a token by its name or list number")
+  .action(runCommand((selection) => app.removeToken(selection)));
+
+tokens
+  .command("enable <token>")
+  .description("re-enable a cooling down or revoked token")
+  .action(runCommand((selection) => app.reenableToken(selection)));
+
+tokens
+  .command("clear")
+  .description("remove all tokens")
+  .action(runCommand(() => app.clearAllTokens(true)));
+
+const config = program.command("config").description("read or change settings");
+
+config
+  .command("get [key]")
+  .description("print one setting, or all settings when no key is given")
+  .action(runCommand((key) => app.showConfigValue(key)));
+
+config
+  .command("set <key> <value>")
+  .description(
+    `change a setting (${Object.keys(app.getConfigSetters()).join(", ")})`,
+  )
+  .action(runCommand((key, value) => app.setConfigValue(key, value)));
+
+const profiles = program
+  .command("profiles")
+  .description("manage settings profiles");
+
+profiles
+  .command("list")
+  .description("list profiles and their settings")
+  .action(runCommand(() => app.viewProfiles()));
+
+profiles
+  .command("use <name>")
+  .description('make a profile the active one ("none" for no profile)')
+  .action(runCommand((name) => app.switchProfile(name)));
+
+profiles
+  .command("create <name>")
+  .description("create a profile from the current settings and activate it")
+  .option(
+    "-t, --tokens <names>",
+    "comma-separated token names or numbers (default: all)",
+  )
+  .action(
+    runCommand((name, options) =>
+      app.createProfile(name, options.tokens ?? ""),
+    ),
+  );
+
+profiles
+  .command("clone <source> <name>")
+  .description("copy a profile under a new name")
+  .action(runCommand((source, name) => app.cloneProfile(source, name)));
+
+profiles
+  .command("tokens <name> [names]")
+  .description("set the tokens a profile uses (omit names for all tokens)")
+  .action(runCommand((name, names) => app.setProfileTokens(name, names ?? "")));
+
+profiles
+  .command("delete <name>")
+  .description("delete a profile")
+  .action(runCommand((name) => app.deleteProfile(name, true)));
+
+program
+  .command("mock-server")
+  .description("serve the mock backend over HTTP until Ctrl+C")
+  .option("-p, --port <port>", "port to listen on", "8787")
+  .option("--latency <ms>", "average response time in ms")
+  .option(
+    "--failures <rates>",
+    'failure rates, e.g. "429=0.1,401=0.02,empty=0.05" (default: from settings)',
+  )
+  .action(
+    runCommand(async (options) => {
+      const { latencyMs, failures } = app.config.mockBackend;
+      let backend;
+      try {
+        backend = new MockWhiskBackend({
+          latencyMs: options.latency ? Number(options.latency) : latencyMs,
+          failures: options.failures
+            ? MockWhiskBackend.parseFailures(options.failures)
+            : failures,
+        });
+        await backend.listen(Number(options.port));
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        return false;
+      }
+      console.log(
+        chalk.green(
+          `🧪 Mock backend listening on http://127.0.0.1:${options.port} (~${backend.latencyMs}ms, ${MockWhiskBackend.describeFailures(backend.failures)})`,
+        ),
+      );
+      console.log(
+        chalk.gray(
+          `   whisk config set apiBaseUrl http://127.0.0.1:${options.port}`,
+        ),
+      );
+    }),
+  );
+
+program
+  .command("serve")
+  .description(
+    "run an HTTP server for submitting and monitoring generation jobs",
+  )
+  .option("-p, --port <port>", "port to listen on", "8788")
+  .option("--host <host>", "address to listen on", "127.0.0.1")
+  .option(
+    "--secret <secret>",
+    "shared secret clients send in the X-Whisk-Secret header (default: $WHISK_SERVER_SECRET, or a generated one)",
+  )
+  .action(runCommand((options) => app.serve(options)));
+
+program
+  .command("gallery")
+  .description(
+    "build a static HTML gallery of the output directory with thumbnails and filters",
+  )
+  .option("-o, --out <dir>", "gallery directory (default: <outputDir>/gallery)")
+  .action(runCommand((options) => app.buildGallery(options)));
+
+program
+  .command("status")
+  .description("show configuration and generation readiness")
+  .action(runCommand(() => app.viewStatus()));
+
+program.parseAsync(process.argv).catch((error) => {
   console.error(chalk.red("❌ Application error:"), error.message);
   console.error(chalk.gray("Stack trace:"), error.stack);
   process.exit(1);
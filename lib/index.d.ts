@@ -0,0 +1,491 @@
+import { EventEmitter } from "events";
+import { Server } from "http";
+
+// ---------------------------------------------------------------- Errors
+
+export interface WhiskErrorOptions {
+  status?: number | null;
+  reason?: string | null;
+  details?: object[];
+  requestId?: string | null;
+  retryAfterMs?: number | null;
+  cause?: unknown;
+}
+
+export class WhiskError extends Error {
+  constructor(message: string, options?: WhiskErrorOptions);
+  status: number | null;
+  reason: string | null;
+  details: object[];
+  requestId: string | null;
+  retryAfterMs: number | null;
+  static fromResponse(
+    status: number,
+    body: string,
+    headers?: { get(name: string): string | null } | null,
+  ): WhiskError;
+}
+/** HTTP 429; the token cools down before it is used again */
+export class RateLimitError extends WhiskError {}
+/** HTTP 401/403; the token is revoked */
+export class AuthError extends WhiskError {}
+/** HTTP 400; fails the same way on every token */
+export class BadRequestError extends WhiskError {}
+export class SafetyBlockedError extends BadRequestError {}
+export class NetworkError extends WhiskError {}
+export class ParseError extends WhiskError {}
+/** The request was aborted through its signal */
+export class CancelledError extends WhiskError {}
+
+// ---------------------------------------------------------------- Client
+
+export type Result<T> =
+  { Ok: T; Err?: undefined } | { Ok?: undefined; Err: WhiskError };
+
+export interface RetryPolicy {
+  maxAttempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  /** Per HTTP request */
+  timeoutMs: number;
+}
+
+/** How a WhiskClient reaches the API */
+export interface Transport {
+  baseUrl: string;
+  fetch: (url: string, init?: object) => Promise<Response | any>;
+}
+
+export type TokenState = "healthy" | "cooling" | "revoked" | "locked";
+
+export interface TokenHealth {
+  state: "healthy" | "cooling" | "revoked";
+  coolingUntil: number | null;
+  rateLimitStreak: number;
+  /** Last 20 outcomes, true = success */
+  recent: boolean[];
+  lastError: string | null;
+}
+
+export interface ImageRequest {
+  prompt: string;
+  aspectRatio?: string;
+  seed?: number;
+  imageModel?: string;
+  /** Filled in by generateImage() when missing */
+  projectId?: string;
+}
+
+export interface GeneratedImage {
+  encodedImage: string;
+  seed?: number;
+  imageModel?: string;
+  [key: string]: unknown;
+}
+
+export interface GenerateImageResponse {
+  imagePanels?: { generatedImages?: GeneratedImage[] }[];
+  [key: string]: unknown;
+}
+
+export interface TokenProbe {
+  status: "valid" | "expired" | "forbidden" | "network" | "unknown";
+  message: string;
+  expiresAt: Date | null;
+}
+
+export class WhiskClient {
+  constructor(
+    authorizationKey: string,
+    health?: TokenHealth | null,
+    retryPolicy?: RetryPolicy,
+    transport?: Transport,
+  );
+  /** Set by whoever creates the client; shown in events and metadata */
+  name?: string;
+  health: TokenHealth;
+  retryPolicy: RetryPolicy;
+  transport: Transport;
+  static createHealth(): TokenHealth;
+  getState(now?: number): TokenState;
+  isAvailable(now?: number): boolean;
+  getRecentCounts(): { succeeded: number; failed: number };
+  recordSuccess(): void;
+  recordFailure(error: WhiskError): void;
+  reenable(): void;
+  getTokenExpiry(): Date | null;
+  probe(): Promise<TokenProbe>;
+  generateImage(
+    request: ImageRequest,
+    options?: { signal?: AbortSignal },
+  ): Promise<Result<GenerateImageResponse>>;
+}
+
+// ---------------------------------------------------------------- Mock backend
+
+export type MockFailureKind = "429" | "401" | "500" | "empty" | "malformed";
+
+export class MockWhiskBackend {
+  constructor(options?: {
+    latencyMs?: number;
+    /** Rate (0-1) per failure kind */
+    failures?: Partial<Record<MockFailureKind, number>>;
+  });
+  static FAILURE_KINDS: MockFailureKind[];
+  /** Parses "429=0.1,500=0.05" */
+  static parseFailures(spec: string): Partial<Record<MockFailureKind, number>>;
+  static describeFailures(
+    failures: Partial<Record<MockFailureKind, number>>,
+  ): string;
+  latencyMs: number;
+  failures: Partial<Record<MockFailureKind, number>>;
+  /** Use as a Transport's fetch */
+  fetch(url: string, init?: object): Promise<Response>;
+  listen(port: number, host?: string): Promise<Server>;
+}
+
+// ---------------------------------------------------------------- Templates
+
+/** A literal piece of text, or a choice group */
+export type TemplateNode = string | TemplateChoice;
+
+export interface TemplateChoice {
+  options: { weight: number; nodes: TemplateNode[] }[];
+}
+
+export interface TemplateRenderOptions {
+  /** "expand" makes every combination, "sample" random picks */
+  mode?: "expand" | "sample";
+  samples?: number;
+  /** Most prompts full expansion may produce */
+  limit?: number;
+}
+
+/**
+ * {red|blue} choice groups with optional {3::red|blue} weights, {@name}
+ * wildcard files and ${name} variables
+ */
+export class PromptTemplate {
+  constructor(options?: {
+    /** Folder holding the <name>.txt wildcard files */
+    baseDir?: string;
+    variables?: Record<string, string | string[]>;
+  });
+  static MAX_EXPANDED_PROMPTS: number;
+  static MAX_DEPTH: number;
+  static count(nodes: TemplateNode[]): number;
+  static expand(nodes: TemplateNode[]): string[];
+  static sample(nodes: TemplateNode[], random?: () => number): string;
+  baseDir: string;
+  variables: Record<string, string | string[]>;
+  parse(text: string): TemplateNode[];
+  render(text: string, options?: TemplateRenderOptions): string[];
+}
+
+// ---------------------------------------------------------------- Runs
+
+/** One prompt of a run, as read from a prompt file */
+export interface PromptEntry {
+  prompt: string;
+  id?: string;
+  /** Option key ("portrait-9:16"), API code or "random" */
+  aspectRatio?: string;
+  seed?: number;
+  imageModel?: string;
+  /** Number of images to save; all images of one response when unset */
+  images?: number;
+  /** File name without extension, instead of config.outputTemplate */
+  fileName?: string;
+  /**
+   * Line removed from config.promptFile when removeCompletedPrompts is on,
+   * once every entry of the run with the same line and sourceLine is done
+   */
+  sourceLine?: string;
+  line?: number;
+  /** Position in the run journal */
+  runIndex?: number;
+  /** Set on the variants of a parameter sweep; saved in each image's sidecar */
+  sweep?: SweepVariant;
+  [key: string]: unknown;
+}
+
+export interface SweepVariant {
+  /** Folder shared by all variants of the prompt, e.g. "003-red-fox" */
+  group: string;
+  /** 1-based number of this variant, out of `variants` */
+  variant: number;
+  variants: number;
+  /** Swept values; null means the regular setting (or a random seed) */
+  aspectRatio: string | null;
+  imageModel: string | null;
+  seed: number | null;
+}
+
+export type JournalState = "pending" | "in-progress" | "done" | "failed";
+
+export class RunJournal {
+  static create(
+    journalDir: string,
+    entries: PromptEntry[],
+    meta?: object,
+  ): Promise<RunJournal>;
+  static loadLatest(journalDir: string): Promise<RunJournal | null>;
+  filePath: string;
+  readonly runId: string;
+  /** Entries still to generate, with runIndex set */
+  getUnfinishedEntries(): PromptEntry[];
+  getCounts(): Record<JournalState, number>;
+  markStarted(runIndex: number): Promise<void>;
+  markDone(runIndex: number, files: string[]): Promise<void>;
+  markFailed(runIndex: number, error: string): Promise<void>;
+}
+
+export class WorkQueue {
+  constructor(entries: PromptEntry[], targetWorkers: number);
+  readonly size: number;
+  total: number;
+  targetWorkers: number;
+  activeWorkers: Set<number>;
+  join(workerId: number): void;
+  leave(workerId: number): void;
+  close(): void;
+  take(workerId: number): { entry: PromptEntry; position: number } | null;
+  drain(): PromptEntry[];
+}
+
+// ---------------------------------------------------------------- Generator
+
+export interface AspectRatioOption {
+  code: string;
+  display: string;
+  description?: string;
+}
+
+export type OutputFormat =
+  "original" | "jpeg" | "png" | "webp" | "webp-lossless" | "avif";
+
+export type PostProcessingStep =
+  | {
+      type: "resize" | "crop";
+      width?: number;
+      height?: number;
+      fit?: string;
+      enlarge?: boolean;
+    }
+  | {
+      type: "watermark";
+      text?: string;
+      image?: string;
+      gravity?: string;
+      opacity?: number;
+      margin?: number;
+      scale?: number;
+      fontSize?: number;
+    }
+  | { type: "derivative"; suffix: string; steps?: PostProcessingStep[] };
+
+export interface GeneratorConfig {
+  outputDir: string;
+  /** API code, e.g. IMAGE_ASPECT_RATIO_LANDSCAPE */
+  aspectRatio: string;
+  aspectRatioDisplay: string;
+  randomAspectRatio: boolean;
+  /** Image quality, 1-100 */
+  compression: number;
+  workers: number;
+  /** Pause between two prompts of one worker */
+  requestDelay: number;
+  promptFile: string | null;
+  removeCompletedPrompts: boolean;
+  /** Placeholders: see OUTPUT_TEMPLATE_TOKENS */
+  outputTemplate: string;
+  outputFormat: OutputFormat;
+  formatOptions: { effort: number; chromaSubsampling: string };
+  postProcessing: PostProcessingStep[];
+  retry: RetryPolicy;
+}
+
+export interface GeneratorOptions {
+  /** Clients to rotate over; their name shows up in events and metadata */
+  clients?: WhiskClient[];
+  /** Used when no clients are given */
+  tokens?: (string | { name?: string; token: string })[];
+  config?: Partial<GeneratorConfig>;
+  /** For clients created from tokens */
+  transport?: Transport;
+}
+
+/** A failed prompt, as kept in GenerationResults.failedPrompts */
+export interface PromptFailure {
+  entry: PromptEntry;
+  worker?: number;
+  attempts: number;
+  token?: string;
+  error: string;
+  errorType?: string;
+  status?: number;
+  reason?: string;
+  requestId?: string;
+}
+
+export interface GenerationResults {
+  /** Run journal id, null without a journal */
+  runId: string | null;
+  /** Saved images */
+  succeeded: number;
+  /** Failed prompts */
+  failed: number;
+  images: string[];
+  completedPrompts: PromptEntry[];
+  failedPrompts: PromptFailure[];
+  /** Every worker that ran stopped on 429/401 errors */
+  rateLimited: boolean;
+  /** stop() was called */
+  interrupted: boolean;
+  workersUsed: number;
+  durationMs: number;
+}
+
+/** Where a prompt is in the run; worker numbers start at 1 */
+export interface PromptProgress {
+  entry: PromptEntry;
+  worker: number;
+  /** 1-based position in the run */
+  position: number;
+  total: number;
+}
+
+export type FailureKind =
+  | "no-tokens"
+  | "rejected"
+  | "all-tokens-attempted"
+  | "no-images"
+  | "all-tokens-failed"
+  | "stranded";
+
+export type WorkerStopReason =
+  "finished" | "interrupted" | "no-tokens" | "api-errors";
+
+export interface GeneratorEvents {
+  promptStart: [
+    PromptProgress & { aspectRatio: AspectRatioOption; seed: number },
+  ];
+  /** Human-readable progress of a prompt, e.g. retries and cooldowns */
+  promptStatus: [PromptProgress & { message: string }];
+  imageSaved: [
+    PromptProgress & {
+      token: string;
+      /** 1-based image number within the prompt */
+      index: number;
+      filePath: string;
+      derivatives: string[];
+      size: number;
+    },
+  ];
+  promptDone: [
+    PromptProgress & {
+      token: string;
+      aspectRatio: AspectRatioOption;
+      paths: string[];
+      derivatives: string[];
+      /** Removed from config.promptFile */
+      removed: boolean;
+    },
+  ];
+  /** "stranded" prompts were never started because every worker stopped; they have no worker */
+  promptFailed: [
+    Omit<PromptProgress, "worker" | "position"> & {
+      worker?: number;
+      position?: number;
+      kind: FailureKind;
+      error: Error | null;
+      failure: PromptFailure;
+    },
+  ];
+  /** Between two prompts of a worker */
+  waiting: [PromptProgress & { ms: number }];
+  workerStopped: [
+    { worker: number; reason: WorkerStopReason } & Partial<PromptProgress>,
+  ];
+  workers: [{ count: number; previous: number }];
+  warning: [{ worker?: number; message: string }];
+  done: [GenerationResults];
+}
+
+/**
+ * Headless generation engine: rotates over a pool of tokens, runs workers
+ * pulling from a shared queue and saves the images.
+ */
+export class Generator extends EventEmitter {
+  constructor(options?: GeneratorOptions);
+  static MAX_CONSECUTIVE_PROMPT_ERRORS: number;
+  config: GeneratorConfig;
+  clients: WhiskClient[];
+  readonly running: boolean;
+  readonly stopped: boolean;
+  /** Target worker count of the current run, or config.workers */
+  readonly workers: number;
+
+  /** Rejects when a run is already in progress */
+  run(
+    entries: (string | PromptEntry)[],
+    options?: { journal?: RunJournal | null },
+  ): Promise<GenerationResults>;
+  stop(): void;
+  setWorkers(count: number): void;
+
+  resolveEntryAspectRatio(entry: PromptEntry): AspectRatioOption;
+  getImageFileName(values: {
+    runId: string;
+    entry: PromptEntry;
+    seed: number;
+    aspectDisplay: string;
+    model: string;
+    workerId: number;
+    tokenName: string;
+    index: number;
+    ext: string;
+  }): string;
+
+  on<E extends keyof GeneratorEvents>(
+    event: E,
+    listener: (...args: GeneratorEvents[E]) => void,
+  ): this;
+  once<E extends keyof GeneratorEvents>(
+    event: E,
+    listener: (...args: GeneratorEvents[E]) => void,
+  ): this;
+  off<E extends keyof GeneratorEvents>(
+    event: E,
+    listener: (...args: GeneratorEvents[E]) => void,
+  ): this;
+  emit<E extends keyof GeneratorEvents>(
+    event: E,
+    ...args: GeneratorEvents[E]
+  ): boolean;
+}
+
+// ---------------------------------------------------------------- Constants and helpers
+
+export const ASPECT_RATIO_OPTIONS: Record<string, AspectRatioOption>;
+export const OUTPUT_FORMATS: Record<
+  OutputFormat,
+  { ext: string; display: string; description: string }
+>;
+export const OUTPUT_TEMPLATE_TOKENS: Record<string, string>;
+export const GENERATOR_DEFAULTS: GeneratorConfig;
+export const DEFAULT_API_BASE_URL: string;
+export const DEFAULT_IMAGE_MODEL: string;
+export const DEFAULT_RETRY_POLICY: RetryPolicy;
+export const HTTP_TRANSPORT: Transport;
+export const TOKEN_COOLDOWN: { BASE_MS: number; MAX_MS: number };
+
+export function detectImageExtension(buffer: Buffer): string;
+export function getErrorFields(
+  error: Error,
+): Omit<PromptFailure, "entry" | "worker" | "attempts" | "token">;
+export function getRandomAspectRatio(): AspectRatioOption;
+export function resolveAspectRatio(value: string): AspectRatioOption | null;
+/** An error message, or null when the template is usable */
+export function validateOutputTemplate(template: string): string | null;
+export function sleep(ms: number, signal?: AbortSignal): Promise<void>;
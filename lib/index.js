@@ -0,0 +1,2365 @@
+import fetch, { Response } from "node-fetch";
+import fs from "fs/promises";
+import * as fsSync from "fs";
+import path from "path";
+import http from "http";
+import { EventEmitter } from "events";
+import sharp from "sharp";
+
+// setTimeout as a promise that resolves early when the signal aborts
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    // Drop the listener once the timer fires, long runs sleep many times
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// How long a token sits out after a 429; doubles for every 429 in a row
+const TOKEN_COOLDOWN = {
+  BASE_MS: 30 * 1000,
+  MAX_MS: 5 * 60 * 1000,
+};
+
+const DEFAULT_API_BASE_URL = "https://aisandbox-pa.googleapis.com";
+const WHISK_GENERATE_PATH = "/v1/whisk:generateImage";
+const DEFAULT_IMAGE_MODEL = "IMAGEN_3_5";
+
+// How WhiskClient reaches the API: a base URL and a fetch-compatible function
+const HTTP_TRANSPORT = { baseUrl: DEFAULT_API_BASE_URL, fetch };
+
+// Default for config.retry, used by WhiskClient.request()
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  timeoutMs: 90 * 1000, // Per HTTP request, a hung connection counts as a network error
+};
+
+// Aspect ratios the API accepts, by option key
+const ASPECT_RATIO_OPTIONS = {
+  "landscape-16:9": {
+    code: "IMAGE_ASPECT_RATIO_LANDSCAPE",
+    display: "landscape (16:9)",
+    description: "Standard widescreen landscape",
+  },
+  "landscape-4:3": {
+    code: "IMAGE_ASPECT_RATIO_WIDE",
+    display: "landscape (4:3)",
+    description: "Traditional landscape",
+  },
+  "portrait-9:16": {
+    code: "IMAGE_ASPECT_RATIO_PORTRAIT",
+    display: "portrait (9:16)",
+    description: "Tall portrait format",
+  },
+  "portrait-3:4": {
+    code: "IMAGE_ASPECT_RATIO_TALL",
+    display: "portrait (3:4)",
+    description: "Traditional portrait",
+  },
+  "square-1:1": {
+    code: "IMAGE_ASPECT_RATIO_SQUARE",
+    display: "square (1:1)",
+    description: "Perfect square format",
+  },
+};
+
+// Formats images can be saved in, see Generator.encodeImage()
+const OUTPUT_FORMATS = {
+  // ext is only known once the API answers
+  original: {
+    ext: "{ext}",
+    display: "Original",
+    description: "Keep the bytes returned by the API (PNG or JPEG)",
+  },
+  jpeg: {
+    ext: "jpg",
+    display: "JPEG",
+    description: "Small files, uses image quality and chroma subsampling",
+  },
+  png: {
+    ext: "png",
+    display: "PNG",
+    description: "Lossless, large files, uses effort",
+  },
+  webp: {
+    ext: "webp",
+    display: "WebP",
+    description: "Web-friendly, uses image quality and effort",
+  },
+  "webp-lossless": {
+    ext: "webp",
+    display: "WebP (lossless)",
+    description: "Lossless WebP, uses effort",
+  },
+  avif: {
+    ext: "avif",
+    display: "AVIF",
+    description:
+      "Smallest files, slow to encode, uses image quality, effort and chroma subsampling",
+  },
+};
+
+// Placeholders available in config.outputTemplate
+const OUTPUT_TEMPLATE_TOKENS = {
+  date: "date of saving (YYYY-MM-DD, UTC)",
+  time: "time of saving (HH-MM-SS, UTC)",
+  timestamp: "milliseconds since epoch",
+  runId: "run journal id",
+  promptSlug: "prompt text as a short file-safe slug",
+  line: "line number of the prompt in the prompt file",
+  id: "prompt id (falls back to the line number)",
+  seed: "seed sent with the request",
+  aspect: "aspect ratio name (landscape, portrait, square)",
+  ratio: "aspect ratio (16x9, 4x3, ...)",
+  model: "image model",
+  worker: "worker number (01, 02, ...)",
+  token: "token name",
+  index: "image number within the prompt",
+  ext: "file extension",
+};
+
+// Generator settings used when the caller leaves them out
+const GENERATOR_DEFAULTS = {
+  outputDir: "./generated-images",
+  aspectRatio: "IMAGE_ASPECT_RATIO_LANDSCAPE",
+  aspectRatioDisplay: "landscape (16:9)",
+  randomAspectRatio: false,
+  compression: 80,
+  workers: 1,
+  requestDelay: 1000,
+  promptFile: null,
+  removeCompletedPrompts: false,
+  outputTemplate: "w{worker}_{timestamp}_{aspect}_{index}.{ext}",
+  outputFormat: "jpeg",
+  formatOptions: { effort: 4, chromaSubsampling: "4:2:0" },
+  postProcessing: [],
+  retry: DEFAULT_RETRY_POLICY,
+};
+
+// Errors returned by WhiskClient. Each carries the HTTP status (if any), the
+// parsed Google error details and the request id to quote in bug reports.
+class WhiskError extends Error {
+  constructor(
+    message,
+    {
+      status = null,
+      reason = null,
+      details = [],
+      requestId = null,
+      retryAfterMs = null,
+      cause,
+    } = {},
+  ) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+    this.requestId = requestId;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  // Picks the subclass for an error response. Google APIs answer with
+  // { error: { code, message, status, details: [{ reason, ... }] } }.
+  static fromResponse(status, body, headers = null) {
+    let googleError = null;
+    try {
+      googleError = JSON.parse(body)?.error ?? null;
+    } catch {
+      // Not JSON (e.g. an HTML error page from a proxy)
+    }
+
+    const details = Array.isArray(googleError?.details)
+      ? googleError.details
+      : [];
+    const reason =
+      details.find((d) => d.reason)?.reason ?? googleError?.status ?? null;
+    const requestId =
+      headers?.get("x-request-id") ??
+      headers?.get("x-goog-request-id") ??
+      details.find((d) => d.requestId)?.requestId ??
+      null;
+    const message = googleError?.message
+      ? `${googleError.message} (HTTP ${status}${googleError.status ? ` ${googleError.status}` : ""})`
+      : `HTTP error! status: ${status}`;
+    const options = {
+      status,
+      reason,
+      details,
+      requestId,
+      retryAfterMs: parseRetryAfter(headers?.get("retry-after")),
+    };
+
+    if (status === 429) return new RateLimitError(message, options);
+    if (status === 401 || status === 403)
+      return new AuthError(message, options);
+    if (
+      status === 400 &&
+      /SAFETY|UNSAFE|BLOCK|POLICY/i.test(`${reason} ${message}`)
+    ) {
+      return new SafetyBlockedError(message, options);
+    }
+    if (status >= 400 && status < 500) {
+      return new BadRequestError(message, options);
+    }
+    return new WhiskError(message, options);
+  }
+}
+
+class RateLimitError extends WhiskError {}
+
+// 401 (expired or revoked token) and 403 (token not allowed to use Whisk)
+class AuthError extends WhiskError {}
+
+class BadRequestError extends WhiskError {}
+
+// The prompt or result was blocked by Google's content filters
+class SafetyBlockedError extends BadRequestError {}
+
+class NetworkError extends WhiskError {}
+
+// The API answered 2xx but the body was not what we expected
+class ParseError extends WhiskError {}
+
+// The caller aborted the request, e.g. because the run is shutting down
+class CancelledError extends WhiskError {}
+
+// 429, 408 and 5xx are worth retrying; other 4xx (400, 401, 403, ...) are not
+const isRetryableStatus = (status) =>
+  status === 429 || status === 408 || status >= 500;
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+class WhiskClient {
+  constructor(
+    authorizationKey,
+    health,
+    retryPolicy = DEFAULT_RETRY_POLICY,
+    transport = HTTP_TRANSPORT,
+  ) {
+    this.credentials = { authorizationKey };
+    // Shared with the token's entry in settings.json, so it survives restarts
+    this.health = health ?? WhiskClient.createHealth();
+    this.retryPolicy = retryPolicy;
+    this.transport = transport;
+    this.generateUrl = `${transport.baseUrl.replace(/\/+$/, "")}${WHISK_GENERATE_PATH}`;
+  }
+
+  static createHealth() {
+    return {
+      state: "healthy", // healthy | cooling | revoked
+      coolingUntil: null,
+      rateLimitStreak: 0,
+      recent: [], // Last 20 outcomes, true = success
+      lastError: null,
+    };
+  }
+
+  // A cooldown that has run out counts as healthy again. A token that
+  // could not be decrypted is "locked" and never used.
+  getState(now = Date.now()) {
+    if (!this.credentials.authorizationKey) return "locked";
+    if (this.health.state === "cooling" && this.health.coolingUntil <= now) {
+      return "healthy";
+    }
+    return this.health.state;
+  }
+
+  isAvailable(now = Date.now()) {
+    return this.getState(now) === "healthy";
+  }
+
+  getRecentCounts() {
+    const succeeded = this.health.recent.filter(Boolean).length;
+    return { succeeded, failed: this.health.recent.length - succeeded };
+  }
+
+  recordOutcome(ok) {
+    this.health.recent = [...this.health.recent, ok].slice(-20);
+  }
+
+  recordSuccess() {
+    this.recordOutcome(true);
+    Object.assign(this.health, {
+      state: "healthy",
+      coolingUntil: null,
+      rateLimitStreak: 0,
+    });
+  }
+
+  // 401 means the token expired or was revoked, 429 puts it on cooldown
+  recordFailure(error) {
+    this.recordOutcome(false);
+    this.health.lastError = error.message;
+
+    if (error instanceof AuthError) {
+      this.health.state = "revoked";
+    } else if (error instanceof RateLimitError) {
+      this.health.rateLimitStreak++;
+      // A longer Retry-After from the server wins over our own schedule
+      const cooldown = Math.max(
+        error.retryAfterMs ?? 0,
+        Math.min(
+          TOKEN_COOLDOWN.MAX_MS,
+          TOKEN_COOLDOWN.BASE_MS * 2 ** (this.health.rateLimitStreak - 1),
+        ),
+      );
+      this.health.state = "cooling";
+      this.health.coolingUntil = Date.now() + cooldown;
+    }
+  }
+
+  reenable() {
+    Object.assign(this.health, WhiskClient.createHealth());
+  }
+
+  async checkCredentials() {
+    if (!this.credentials.authorizationKey) {
+      throw new AuthError("Missing authorization key");
+    }
+  }
+
+  // Expiry of JWT-style tokens (from the "exp" claim), null for opaque tokens
+  // such as Google's ya29.* access tokens
+  getTokenExpiry() {
+    const parts = String(this.credentials.authorizationKey).split(".");
+    if (parts.length !== 3) return null;
+    try {
+      const payload = JSON.parse(
+        Buffer.from(parts[1], "base64url").toString("utf-8"),
+      );
+      return Number.isFinite(payload.exp) ? new Date(payload.exp * 1000) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Cheap authenticated check: an empty generate request is rejected with 400
+  // only after the token was accepted, so nothing gets generated.
+  // Returns { status: valid | expired | forbidden | network | unknown, message, expiresAt }
+  async probe() {
+    const expiresAt = this.getTokenExpiry();
+    try {
+      await this.checkCredentials();
+    } catch (error) {
+      return { status: "expired", message: error.message, expiresAt };
+    }
+
+    const resp = await this.request(
+      {
+        method: "POST",
+        body: "{}",
+        url: this.generateUrl,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${String(this.credentials.authorizationKey)}`,
+        },
+      },
+      undefined,
+      { ...this.retryPolicy, maxAttempts: 1 },
+    );
+
+    const error = resp.Err;
+    if (!error || error instanceof BadRequestError) {
+      return { status: "valid", message: "Token accepted", expiresAt };
+    }
+    if (error instanceof RateLimitError) {
+      return {
+        status: "valid",
+        message: "Token accepted (currently rate-limited)",
+        expiresAt,
+      };
+    }
+    if (error instanceof AuthError) {
+      return {
+        status: error.status === 403 ? "forbidden" : "expired",
+        message: error.message,
+        expiresAt,
+      };
+    }
+    if (error instanceof NetworkError) {
+      return { status: "network", message: error.message, expiresAt };
+    }
+    return { status: "unknown", message: error.message, expiresAt };
+  }
+
+  async getNewProjectId(name) {
+    // Return a timestamp-based ID for demo
+    return { Ok: `project_${Date.now()}` };
+  }
+
+  // options.signal aborts the request (and any retry wait) with a CancelledError
+  async generateImage(prompt, { signal } = {}) {
+    await this.checkCredentials();
+
+    if (!prompt || !prompt.prompt) {
+      return {
+        Err: new BadRequestError(
+          "Invalid prompt. Please provide a valid prompt",
+        ),
+      };
+    }
+
+    if (!prompt.projectId) {
+      const id = await this.getNewProjectId("New Project");
+      if (id.Err || !id.Ok) return { Err: id.Err };
+      prompt.projectId = id.Ok;
+    }
+
+    if (prompt.seed == undefined) {
+      prompt.seed = Math.floor(Math.random() * 1000000);
+    }
+
+    if (!prompt.imageModel) {
+      prompt.imageModel = DEFAULT_IMAGE_MODEL;
+    }
+
+    if (!prompt.aspectRatio) {
+      prompt.aspectRatio = "IMAGE_ASPECT_RATIO_LANDSCAPE";
+    }
+
+    const reqJson = {
+      clientContext: {
+        workflowId: prompt.projectId,
+        tool: "BACKBONE",
+        sessionId: `;${Date.now()}`,
+      },
+      imageModelSettings: {
+        imageModel: prompt.imageModel,
+        aspectRatio: prompt.aspectRatio,
+      },
+      seed: prompt.seed,
+      prompt: prompt.prompt,
+      mediaCategory: "MEDIA_CATEGORY_BOARD",
+    };
+
+    const req = {
+      method: "POST",
+      body: JSON.stringify(reqJson),
+      url: this.generateUrl,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${String(this.credentials.authorizationKey)}`,
+      },
+    };
+
+    const resp = await this.request(req, signal);
+    if (resp.Err || !resp.Ok) {
+      return { Err: resp.Err };
+    }
+
+    try {
+      const parsedResp = JSON.parse(resp.Ok);
+      if (parsedResp.error) {
+        return {
+          Err: WhiskError.fromResponse(parsedResp.error.code ?? 400, resp.Ok),
+        };
+      }
+      return { Ok: parsedResp };
+    } catch (err) {
+      return {
+        Err: new ParseError(`Failed to parse response: ${resp.Ok}`, {
+          cause: err,
+        }),
+      };
+    }
+  }
+
+  // Retries network errors, 429 and 5xx with exponential backoff and full
+  // jitter, or as long as Retry-After asks. Failures are WhiskError subclasses.
+  async request(req, signal, retryPolicy = this.retryPolicy) {
+    const { maxAttempts, baseDelayMs, maxDelayMs, timeoutMs } = retryPolicy;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let response;
+      try {
+        const timeout = AbortSignal.timeout(timeoutMs);
+        response = await this.transport.fetch(req.url, {
+          method: req.method,
+          headers: req.headers,
+          body: req.body,
+          signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          return {
+            Err: new CancelledError("Request cancelled", { cause: error }),
+          };
+        }
+        lastError = new NetworkError(
+          error.name === "AbortError"
+            ? `Network error: no response within ${timeoutMs / 1000}s`
+            : `Network error: ${error.message}`,
+          { cause: error },
+        );
+      }
+
+      if (response?.ok) {
+        const data = await response.text();
+        return { Ok: data };
+      }
+
+      if (response) {
+        lastError = WhiskError.fromResponse(
+          response.status,
+          await response.text().catch(() => ""),
+          response.headers,
+        );
+        if (!isRetryableStatus(response.status)) break;
+      }
+      if (attempt === maxAttempts) break;
+
+      // Waiting longer than the policy allows is left to the token cooldown
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delay = lastError.retryAfterMs ?? Math.random() * backoff;
+      if (delay > maxDelayMs) break;
+      await sleep(delay, signal);
+      if (signal?.aborted) {
+        return { Err: new CancelledError("Request cancelled") };
+      }
+    }
+
+    return { Err: lastError };
+  }
+}
+
+// Stand-in for the Whisk API that answers with placeholder images, to try
+// settings, worker counts and failure handling without spending quota.
+// Failures happen at the configured rates, or on demand with a
+// [mock:429|401|500|empty|malformed|slow] tag in the prompt.
+class MockWhiskBackend {
+  static FAILURE_KINDS = ["429", "401", "500", "empty", "malformed"];
+  static IMAGE_SIZES = {
+    IMAGE_ASPECT_RATIO_LANDSCAPE: [1024, 576],
+    IMAGE_ASPECT_RATIO_WIDE: [1024, 768],
+    IMAGE_ASPECT_RATIO_PORTRAIT: [576, 1024],
+    IMAGE_ASPECT_RATIO_TALL: [768, 1024],
+    IMAGE_ASPECT_RATIO_SQUARE: [1024, 1024],
+  };
+
+  // failures maps a kind from FAILURE_KINDS to its probability (0-1)
+  constructor({ latencyMs = 800, failures = {} } = {}) {
+    this.latencyMs = latencyMs;
+    this.failures = failures;
+    this.requestCount = 0;
+    this.fetch = this.fetch.bind(this);
+  }
+
+  // Parses "429=0.1,empty=0.05" ("none" for no failures)
+  static parseFailures(spec) {
+    if (!spec || spec === "none") return {};
+    const failures = {};
+    for (const part of spec.split(",")) {
+      const [kind, rate] = part.split("=").map((value) => value.trim());
+      const rateNum = Number(rate);
+      if (!MockWhiskBackend.FAILURE_KINDS.includes(kind)) {
+        throw new Error(
+          `Unknown failure "${kind}". Use ${MockWhiskBackend.FAILURE_KINDS.join(", ")}`,
+        );
+      }
+      if (rate === undefined || !(rateNum >= 0 && rateNum <= 1)) {
+        throw new Error(`Rate for ${kind} must be between 0 and 1`);
+      }
+      failures[kind] = rateNum;
+    }
+    const total = Object.values(failures).reduce((sum, r) => sum + r, 0);
+    if (total > 1) throw new Error("Failure rates add up to more than 1");
+    return failures;
+  }
+
+  static describeFailures(failures) {
+    const parts = Object.entries(failures)
+      .filter(([, rate]) => rate > 0)
+      .map(([kind, rate]) => `${kind} ${Math.round(rate * 100)}%`);
+    return parts.length > 0 ? parts.join(", ") : "no failures";
+  }
+
+  pickFailure() {
+    let roll = Math.random();
+    for (const [kind, rate] of Object.entries(this.failures)) {
+      if (roll < rate) return kind;
+      roll -= rate;
+    }
+    return null;
+  }
+
+  // Same contract as node-fetch, for use as a WhiskClient transport
+  async fetch(url, { method = "GET", headers = {}, body, signal } = {}) {
+    const reply = await this.handle({
+      method,
+      path: new URL(url).pathname,
+      authorization: headers.Authorization,
+      body,
+      signal,
+    });
+    if (signal?.aborted) {
+      throw Object.assign(new Error("The operation was aborted."), {
+        name: "AbortError",
+      });
+    }
+    return new Response(reply.body, {
+      status: reply.status,
+      headers: { "Content-Type": "application/json", ...reply.headers },
+    });
+  }
+
+  // Returns { status, headers, body } like the real API would
+  async handle({ method, path: requestPath, authorization, body, signal }) {
+    const error = (code, status, message, headers = {}) => ({
+      status: code,
+      headers,
+      body: JSON.stringify({ error: { code, message, status } }),
+    });
+
+    this.requestCount++;
+    let request = null;
+    try {
+      request = JSON.parse(body);
+    } catch {
+      // Answered with a 400 below
+    }
+    const forced = /\[mock:(\w+)\]/.exec(request?.prompt ?? "")?.[1];
+    const slowdown = forced === "slow" ? 5 : 1;
+    await sleep(this.latencyMs * (0.5 + Math.random()) * slowdown, signal);
+
+    if (method !== "POST" || requestPath !== WHISK_GENERATE_PATH) {
+      return error(404, "NOT_FOUND", `No mock for ${method} ${requestPath}`);
+    }
+    if (!/^Bearer \S+/.test(authorization ?? "")) {
+      return error(401, "UNAUTHENTICATED", "Missing bearer token");
+    }
+    // Token checks send an empty body, which the real API rejects as well
+    if (!request?.prompt) {
+      return error(400, "INVALID_ARGUMENT", "Invalid JSON payload");
+    }
+
+    switch (forced ?? this.pickFailure()) {
+      case "429":
+        return error(429, "RESOURCE_EXHAUSTED", "Resource exhausted (mock)", {
+          "Retry-After": "1",
+        });
+      case "401":
+        return error(
+          401,
+          "UNAUTHENTICATED",
+          "Request had invalid authentication credentials (mock)",
+        );
+      case "500":
+        return error(500, "INTERNAL", "Internal error (mock)");
+      case "empty":
+        return { status: 200, headers: {}, body: '{"imagePanels":[]}' };
+      case "malformed":
+        return {
+          status: 200,
+          headers: {},
+          body: '{"imagePanels":[{"generatedImages":[{"encodedIm',
+        };
+    }
+
+    const { seed = 0, imageModelSettings = {}, clientContext = {} } = request;
+    const generatedImages = await Promise.all(
+      [0, 1].map(async (index) => ({
+        encodedImage: await this.renderPlaceholder(
+          request.prompt,
+          seed + index,
+          imageModelSettings.aspectRatio,
+        ),
+        seed: seed + index,
+        mediaGenerationId: `mock_${this.requestCount}_${index}`,
+        prompt: request.prompt,
+        imageModel: imageModelSettings.imageModel,
+        aspectRatio: imageModelSettings.aspectRatio,
+        workflowId: clientContext.workflowId,
+      })),
+    );
+    return {
+      status: 200,
+      headers: {},
+      body: JSON.stringify({
+        imagePanels: [{ prompt: request.prompt, generatedImages }],
+        workflowId: clientContext.workflowId,
+      }),
+    };
+  }
+
+  // A coloured JPEG (base64) showing the prompt and seed
+  async renderPlaceholder(prompt, seed, aspectRatio) {
+    const [width, height] = MockWhiskBackend.IMAGE_SIZES[aspectRatio] ?? [
+      1024, 576,
+    ];
+    const hue = (seed * 137) % 360;
+    const text = (value) =>
+      value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const caption =
+      prompt.length > 60 ? `${prompt.substring(0, 57)}...` : prompt;
+    const fontSize = Math.round(width / 32);
+    const svg =
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<rect width="100%" height="100%" fill="hsl(${hue}, 45%, 40%)"/>` +
+      `<text x="50%" y="48%" text-anchor="middle" font-family="sans-serif" font-size="${fontSize}" fill="white">${text(caption)}</text>` +
+      `<text x="50%" y="56%" text-anchor="middle" font-family="sans-serif" font-size="${Math.round(fontSize * 0.7)}" fill="white" fill-opacity="0.7">mock image, seed ${seed}</text>` +
+      `</svg>`;
+    const image = await sharp(Buffer.from(svg))
+      .jpeg({ quality: 80 })
+      .toBuffer();
+    return image.toString("base64");
+  }
+
+  // Serves the mock over HTTP, e.g. for apiBaseUrl http://127.0.0.1:8787
+  listen(port, host = "127.0.0.1") {
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", async () => {
+        const controller = new AbortController();
+        res.on("close", () => controller.abort());
+        const reply = await this.handle({
+          method: req.method,
+          path: new URL(req.url, "http://localhost").pathname,
+          authorization: req.headers.authorization,
+          body,
+          signal: controller.signal,
+        });
+        if (controller.signal.aborted) return;
+        res.writeHead(reply.status, {
+          "Content-Type": "application/json",
+          ...reply.headers,
+        });
+        res.end(reply.body);
+      });
+    });
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+}
+
+// Tracks the state of every prompt in a generation run on disk, so an
+// interrupted run can be resumed without touching the user's prompt file.
+class RunJournal {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+    this.writeChain = Promise.resolve();
+  }
+
+  static async create(journalDir, entries, meta = {}) {
+    const runId = `run_${Date.now()}`;
+    const createdAt = new Date().toISOString();
+    const data = {
+      runId,
+      createdAt,
+      updatedAt: createdAt,
+      ...meta,
+      prompts: entries.map((entry, index) => ({
+        index,
+        entry,
+        state: "pending",
+        files: [],
+        error: null,
+      })),
+    };
+
+    await fs.mkdir(journalDir, { recursive: true });
+    const journal = new RunJournal(
+      path.join(journalDir, `${runId}.json`),
+      data,
+    );
+    await journal.save();
+    return journal;
+  }
+
+  static async loadLatest(journalDir) {
+    let files;
+    try {
+      files = await fs.readdir(journalDir);
+    } catch {
+      return null;
+    }
+
+    // Run ids are timestamps, so the newest run sorts last
+    const runFiles = files
+      .filter((f) => /^run_\d+\.json$/.test(f))
+      .sort((a, b) => parseInt(a.slice(4)) - parseInt(b.slice(4)));
+    if (runFiles.length === 0) return null;
+
+    const filePath = path.join(journalDir, runFiles[runFiles.length - 1]);
+    const data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+    return new RunJournal(filePath, data);
+  }
+
+  get runId() {
+    return this.data.runId;
+  }
+
+  // Prompts still to be generated; in-progress ones were cut off by a crash or Ctrl+C
+  getUnfinishedEntries() {
+    return this.data.prompts
+      .filter(
+        (item) => item.state === "pending" || item.state === "in-progress",
+      )
+      .map((item) => ({ ...item.entry, runIndex: item.index }));
+  }
+
+  getCounts() {
+    const counts = { pending: 0, "in-progress": 0, done: 0, failed: 0 };
+    for (const item of this.data.prompts) counts[item.state]++;
+    return counts;
+  }
+
+  markStarted(runIndex) {
+    return this.update(runIndex, { state: "in-progress", error: null });
+  }
+
+  markDone(runIndex, files) {
+    return this.update(runIndex, { state: "done", files });
+  }
+
+  markFailed(runIndex, error) {
+    return this.update(runIndex, { state: "failed", error });
+  }
+
+  update(runIndex, changes) {
+    const item = this.data.prompts[runIndex];
+    if (!item) return this.writeChain;
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    return this.save();
+  }
+
+  // Writes are serialised (workers update concurrently) and atomic via rename,
+  // so a crash never leaves a half-written journal behind
+  save() {
+    this.writeChain = this.writeChain.then(async () => {
+      this.data.updatedAt = new Date().toISOString();
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+      await fs.rename(tempPath, this.filePath);
+    });
+    return this.writeChain;
+  }
+}
+
+// Prompts shared by all workers of a run. Workers pull the next prompt whenever
+// they are free, so a slow or stopped worker never strands a share of the run.
+class WorkQueue {
+  constructor(entries, targetWorkers) {
+    this.pending = [...entries];
+    this.total = entries.length;
+    this.taken = 0;
+    this.targetWorkers = targetWorkers;
+    this.activeWorkers = new Set();
+    this.closed = false;
+  }
+
+  get size() {
+    return this.pending.length;
+  }
+
+  join(workerId) {
+    this.activeWorkers.add(workerId);
+  }
+
+  leave(workerId) {
+    this.activeWorkers.delete(workerId);
+  }
+
+  // Stops handing out prompts, e.g. on Ctrl+C; unstarted ones stay pending
+  close() {
+    this.closed = true;
+  }
+
+  // Next entry and its 1-based position in the run, or null when the queue is
+  // empty or closed, or the pool was shrunk and this worker should retire
+  take(workerId) {
+    if (
+      this.closed ||
+      this.pending.length === 0 ||
+      this.activeWorkers.size > this.targetWorkers
+    ) {
+      this.leave(workerId);
+      return null;
+    }
+    this.taken++;
+    return { entry: this.pending.shift(), position: this.taken };
+  }
+
+  // Whatever no worker got to, e.g. after every worker stopped on API errors
+  drain() {
+    return this.pending.splice(0);
+  }
+}
+
+// Fields stored in failed-prompts.json, the run journal and "failed" events
+const getErrorFields = (error) => ({
+  error: error.message,
+  errorType: error.name,
+  ...(error.status && { status: error.status }),
+  ...(error.reason && { reason: error.reason }),
+  ...(error.requestId && { requestId: error.requestId }),
+});
+
+// Picks the extension from the actual bytes rather than from settings
+const detectImageExtension = (buffer) => {
+  if (buffer.subarray(0, 4).toString("hex") === "89504e47") return "png";
+  if (buffer.subarray(0, 2).toString("hex") === "ffd8") return "jpg";
+  if (
+    buffer.subarray(0, 4).toString() === "RIFF" &&
+    buffer.subarray(8, 12).toString() === "WEBP"
+  ) {
+    return "webp";
+  }
+  if (buffer.subarray(4, 12).toString() === "ftypavif") return "avif";
+  return "bin";
+};
+
+const getRandomAspectRatio = () => {
+  const options = Object.values(ASPECT_RATIO_OPTIONS);
+  return options[Math.floor(Math.random() * options.length)];
+};
+
+// Accepts "random", an option key ("portrait-9:16") or an API code
+const resolveAspectRatio = (value) => {
+  if (value === "random") return getRandomAspectRatio();
+  return (
+    ASPECT_RATIO_OPTIONS[value] ||
+    Object.values(ASPECT_RATIO_OPTIONS).find(
+      (option) => option.code === value,
+    ) ||
+    null
+  );
+};
+
+// Returns an error message for an unusable output template, or null
+const validateOutputTemplate = (template) => {
+  const knownTokens = Object.keys(OUTPUT_TEMPLATE_TOKENS);
+  const usedTokens = [...template.matchAll(/\{([^}]*)\}/g)].map((m) => m[1]);
+  const unknownTokens = usedTokens.filter((t) => !knownTokens.includes(t));
+
+  if (unknownTokens.length > 0) {
+    return `Unknown token(s): ${unknownTokens.map((t) => `{${t}}`).join(", ")}`;
+  }
+  if (!usedTokens.includes("ext")) {
+    return "Template must contain the {ext} token, e.g. {promptSlug}.{ext}";
+  }
+  if (
+    path.isAbsolute(template) ||
+    template.split(/[\\/]/).some((part) => part === "..")
+  ) {
+    return "Template must stay inside the output directory";
+  }
+  return null;
+};
+
+// Prompt templates: {red|blue} choice groups (an option may start with a
+// weight, e.g. {3::red|blue}), {@styles} wildcards with one option per line of
+// styles.txt next to the prompt file, and ${name} variables from the variables
+// file, where a list value is a choice group. A backslash escapes the next
+// character, e.g. \{.
+class PromptTemplate {
+  // Full expansion refuses to produce more prompts than this per prompt file
+  static MAX_EXPANDED_PROMPTS = 10000;
+  static MAX_DEPTH = 10;
+
+  constructor({ baseDir = ".", variables = {} } = {}) {
+    this.baseDir = baseDir;
+    this.variables = variables;
+    this.wildcards = new Map(); // name -> options
+  }
+
+  // Returns a list of nodes: strings and choice groups { options: [{ weight, nodes }] }
+  parse(text, stack = []) {
+    if (stack.length > PromptTemplate.MAX_DEPTH) {
+      throw new Error(`Template nests too deep: ${stack.join(" -> ")}`);
+    }
+
+    let pos = 0;
+    const parseSequence = (closers) => {
+      const nodes = [];
+      let literal = "";
+      while (pos < text.length && !closers.includes(text[pos])) {
+        const char = text[pos];
+        if (char === "\\" && pos + 1 < text.length) {
+          literal += text[pos + 1];
+          pos += 2;
+        } else if (char === "{") {
+          pos++;
+          nodes.push(literal, { options: parseOptions() });
+          literal = "";
+        } else if (char === "$" && text[pos + 1] === "{") {
+          const end = text.indexOf("}", pos);
+          if (end === -1) throw new Error(`Unclosed "\${" in "${text}"`);
+          nodes.push(
+            literal,
+            ...this.resolveVariable(text.slice(pos + 2, end).trim(), stack),
+          );
+          literal = "";
+          pos = end + 1;
+        } else if (char === "}") {
+          throw new Error(`Unexpected "}" in "${text}"`);
+        } else {
+          literal += char;
+          pos++;
+        }
+      }
+      nodes.push(literal);
+      return nodes.filter((node) => node !== "");
+    };
+
+    const parseOptions = () => {
+      const options = [];
+      while (true) {
+        const rest = text.slice(pos);
+        const wildcard = rest.match(/^\s*@([\w./-]+)\s*(?=[|}])/);
+        if (wildcard) {
+          options.push(...this.loadWildcard(wildcard[1], stack));
+          pos += wildcard[0].length;
+        } else {
+          const weight = rest.match(/^\s*(\d+(?:\.\d+)?)::/);
+          if (weight) pos += weight[0].length;
+          options.push({
+            weight: weight ? Number(weight[1]) : 1,
+            nodes: parseSequence(["|", "}"]),
+          });
+        }
+        if (pos >= text.length) throw new Error(`Unclosed "{" in "${text}"`);
+        if (text[pos++] === "}") return options;
+      }
+    };
+
+    return parseSequence([]);
+  }
+
+  // Each non-empty, non-comment line of <name>.txt is one option
+  loadWildcard(name, stack) {
+    if (stack.includes(`@${name}`)) {
+      throw new Error(`Wildcard @${name} includes itself`);
+    }
+    if (!this.wildcards.has(name)) {
+      const filePath = path.join(this.baseDir, `${name}.txt`);
+      let content;
+      try {
+        content = fsSync.readFileSync(filePath, "utf-8");
+      } catch {
+        throw new Error(`Wildcard @${name}: cannot read ${filePath}`);
+      }
+      const options = content
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0 && !line.startsWith("#"))
+        .map((line) => {
+          const weight = line.match(/^(\d+(?:\.\d+)?)::/);
+          return {
+            weight: weight ? Number(weight[1]) : 1,
+            nodes: this.parse(weight ? line.slice(weight[0].length) : line, [
+              ...stack,
+              `@${name}`,
+            ]),
+          };
+        });
+      if (options.length === 0) {
+        throw new Error(`Wildcard @${name} (${filePath}) has no entries`);
+      }
+      this.wildcards.set(name, options);
+    }
+    return this.wildcards.get(name);
+  }
+
+  resolveVariable(name, stack) {
+    if (!Object.hasOwn(this.variables, name)) {
+      throw new Error(`Unknown variable \${${name}}`);
+    }
+    if (stack.includes(`$${name}`)) {
+      throw new Error(`Variable \${${name}} refers to itself`);
+    }
+    const value = this.variables[name];
+    const inner = [...stack, `$${name}`];
+    if (!Array.isArray(value)) return this.parse(String(value), inner);
+    return [
+      {
+        options: value.map((option) => ({
+          weight: 1,
+          nodes: this.parse(String(option), inner),
+        })),
+      },
+    ];
+  }
+
+  // Number of distinct prompts full expansion produces
+  static count(nodes) {
+    return nodes.reduce(
+      (total, node) =>
+        typeof node === "string"
+          ? total
+          : total *
+            node.options.reduce(
+              (sum, option) => sum + PromptTemplate.count(option.nodes),
+              0,
+            ),
+      1,
+    );
+  }
+
+  // Every combination once; weights only matter when sampling
+  static expand(nodes) {
+    let prompts = [""];
+    for (const node of nodes) {
+      const parts =
+        typeof node === "string"
+          ? [node]
+          : node.options.flatMap((option) =>
+              PromptTemplate.expand(option.nodes),
+            );
+      prompts = prompts.flatMap((prompt) => parts.map((part) => prompt + part));
+    }
+    return prompts;
+  }
+
+  static sample(nodes, random = Math.random) {
+    return nodes
+      .map((node) => {
+        if (typeof node === "string") return node;
+        const total = node.options.reduce((sum, o) => sum + o.weight, 0);
+        let pick = random() * total;
+        const option =
+          node.options.find((o) => (pick -= o.weight) < 0) ??
+          node.options.at(-1);
+        return PromptTemplate.sample(option.nodes, random);
+      })
+      .join("");
+  }
+
+  // Concrete prompts for one template: all of them in "expand" mode, or
+  // `samples` random picks in "sample" mode. Text without choices gives one.
+  // The count is checked against `limit` before anything is expanded.
+  render(
+    text,
+    {
+      mode = "expand",
+      samples = 10,
+      limit = PromptTemplate.MAX_EXPANDED_PROMPTS,
+    } = {},
+  ) {
+    const nodes = this.parse(text);
+    const count = PromptTemplate.count(nodes);
+    let prompts;
+    if (count === 1) {
+      prompts = PromptTemplate.expand(nodes);
+    } else if (mode === "sample") {
+      prompts = Array.from({ length: samples }, () =>
+        PromptTemplate.sample(nodes),
+      );
+    } else if (count > limit) {
+      throw new Error(
+        `"${text}" expands to ${count} prompts, more than the limit of ${limit}; use sample mode instead`,
+      );
+    } else {
+      prompts = PromptTemplate.expand(nodes);
+    }
+    // Empty options leave doubled spaces behind
+    return prompts
+      .map((prompt) => prompt.replace(/\s+/g, " ").trim())
+      .filter((prompt) => prompt.length > 0);
+  }
+}
+
+// Headless generation engine: a token pool, workers pulling prompts from a
+// shared queue, and image saving. Progress is reported as events (see
+// index.d.ts); the terminal app renders them as spinners and NDJSON.
+class Generator extends EventEmitter {
+  // A worker stops after this many prompts in a row hit 429/401 errors
+  static MAX_CONSECUTIVE_PROMPT_ERRORS = 3;
+
+  // Pass ready WhiskClients as `clients`, or `tokens` (strings or
+  // { name, token }) to have clients created with `transport`
+  constructor({
+    clients,
+    tokens = [],
+    config = {},
+    transport = HTTP_TRANSPORT,
+  } = {}) {
+    super();
+    this.config = { ...GENERATOR_DEFAULTS, ...config };
+    this.clients =
+      clients ??
+      tokens.map((token, index) => {
+        const { name = `Token ${index + 1}`, token: authorizationKey } =
+          typeof token === "string" ? { token } : token;
+        const client = new WhiskClient(
+          authorizationKey,
+          null,
+          this.config.retry,
+          transport,
+        );
+        client.name = name;
+        return client;
+      });
+    this.currentTokenIndex = 0;
+    this.promptFileWriteChain = Promise.resolve();
+    this.queue = null; // Set while a run is in progress
+    this.journal = null;
+    this.abortController = null;
+  }
+
+  get running() {
+    return this.queue !== null;
+  }
+
+  // True once stop() was called for the current (or last) run
+  get stopped() {
+    return this.abortController?.signal.aborted ?? false;
+  }
+
+  get workers() {
+    return this.queue?.targetWorkers ?? this.config.workers;
+  }
+
+  // Generates every entry (a prompt string or a prompt entry object) and
+  // resolves with the results once all workers stopped. With a journal, every
+  // prompt's progress is recorded so an interrupted run can be resumed.
+  async run(entries, { journal = null } = {}) {
+    if (this.running) throw new Error("Generator is already running");
+
+    const startTime = Date.now();
+    const queue = new WorkQueue(
+      entries.map((entry) =>
+        typeof entry === "string" ? { prompt: entry } : entry,
+      ),
+      this.config.workers,
+    );
+    this.queue = queue;
+    this.journal = journal;
+    this.abortController = new AbortController();
+    // Entries of this run per prompt file line; a template line expands to
+    // several and is only removed from the file once all of them are done
+    this.pendingSourceLines = new Map();
+    for (const entry of queue.pending) {
+      if (!entry.sourceLine) continue;
+      const key = `${entry.line}:${entry.sourceLine}`;
+      this.pendingSourceLines.set(
+        key,
+        (this.pendingSourceLines.get(key) ?? 0) + 1,
+      );
+    }
+    this.currentTokenIndex = 0;
+    this.workerResults = [];
+    this.workerPromises = [];
+    this.nextWorkerId = 0;
+
+    try {
+      for (let i = 0; i < Math.min(queue.targetWorkers, queue.total); i++) {
+        this.spawnWorker();
+      }
+
+      // Workers added mid-run append to workerPromises, so settle it as it
+      // grows. A worker that throws stops the others (see spawnWorker), and
+      // its error is only rethrown once none of them is still writing files.
+      const errors = [];
+      for (let settled = 0; settled < this.workerPromises.length;) {
+        const batch = this.workerPromises.slice(settled);
+        settled = this.workerPromises.length;
+        for (const outcome of await Promise.allSettled(batch)) {
+          if (outcome.status === "rejected") errors.push(outcome.reason);
+        }
+      }
+      if (errors.length > 0) throw errors[0];
+
+      // Prompts nobody got to because every worker stopped on API errors are
+      // failed like the others, so they are retried with the failed prompts
+      // rather than also resumed from the run journal
+      const interrupted = this.stopped;
+      const stranded = interrupted ? [] : queue.drain();
+      const workerResults = [...this.workerResults];
+      if (stranded.length > 0) {
+        const error = `All workers stopped because the tokens were rate-limited or revoked (429/401)`;
+        const failedPrompts = stranded.map((entry) => ({
+          entry,
+          attempts: 0,
+          error,
+        }));
+        workerResults.push({
+          success: 0,
+          failed: stranded.length,
+          images: [],
+          completedPrompts: [],
+          failedPrompts,
+          stoppedByApiErrors: true,
+        });
+        for (const failure of failedPrompts) {
+          if (journal) {
+            await journal.markFailed(failure.entry.runIndex, error);
+          }
+          this.emit("promptFailed", {
+            entry: failure.entry,
+            total: queue.total,
+            kind: "stranded",
+            error: null,
+            failure,
+          });
+        }
+      }
+
+      const ran = workerResults.filter((r) => r.success + r.failed > 0);
+      const results = {
+        runId: journal?.runId ?? null,
+        succeeded: workerResults.reduce((sum, r) => sum + r.success, 0),
+        failed: workerResults.reduce((sum, r) => sum + r.failed, 0),
+        images: workerResults.flatMap((r) => r.images),
+        completedPrompts: workerResults.flatMap((r) => r.completedPrompts),
+        failedPrompts: workerResults.flatMap((r) => r.failedPrompts),
+        // Every worker that ran gave up after consecutive 429/401 prompts
+        rateLimited: ran.length > 0 && ran.every((r) => r.stoppedByApiErrors),
+        interrupted,
+        workersUsed: this.nextWorkerId,
+        durationMs: Date.now() - startTime,
+      };
+      this.emit("done", results);
+      return results;
+    } finally {
+      this.queue = null;
+      this.journal = null;
+    }
+  }
+
+  // Stops taking prompts and cancels in-flight requests. Images being saved
+  // are finished; prompts not done stay pending in the journal.
+  stop() {
+    if (!this.running) return;
+    this.queue.close();
+    this.abortController.abort();
+  }
+
+  // Changes the worker count, also mid-run. Extra workers stop after their
+  // current prompt.
+  setWorkers(count) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new RangeError("Workers must be a positive integer");
+    }
+
+    this.config.workers = count;
+    if (!this.running) return;
+
+    const previous = this.queue.targetWorkers;
+    this.queue.targetWorkers = count;
+    while (this.queue.activeWorkers.size < count && this.queue.size > 0) {
+      this.spawnWorker();
+    }
+    this.emit("workers", { count, previous });
+  }
+
+  spawnWorker() {
+    const workerId = this.nextWorkerId++;
+    this.workerPromises.push(
+      this.runWorker(workerId).then(
+        (result) => {
+          this.workerResults.push(result);
+        },
+        (error) => {
+          this.stop();
+          throw error;
+        },
+      ),
+    );
+  }
+
+  // Takes prompts from the shared queue until it is empty or closed, or this
+  // worker has to stop. workerId is 0-based, events carry the 1-based number.
+  async runWorker(workerId) {
+    const { queue } = this;
+    const signal = this.abortController.signal;
+    const results = {
+      success: 0,
+      failed: 0,
+      images: [],
+      completedPrompts: [],
+      failedPrompts: [],
+      stoppedByApiErrors: false,
+    };
+
+    // Track consecutive prompts with 429/401 errors for this worker
+    let consecutivePromptErrors = 0;
+    const { MAX_CONSECUTIVE_PROMPT_ERRORS } = Generator;
+
+    const worker = workerId + 1;
+    const stopWorker = (reason, details = {}) => {
+      queue.leave(workerId);
+      this.emit("workerStopped", { worker, reason, ...details });
+      return results;
+    };
+
+    queue.join(workerId);
+    let next;
+    while ((next = queue.take(workerId))) {
+      const { entry, position } = next;
+      const prompt = entry.prompt;
+
+      const aspect = this.resolveEntryAspectRatio(entry);
+      const { code: aspectRatio, display: aspectDisplay } = aspect;
+
+      const seed = entry.seed ?? Math.floor(Math.random() * 1000000);
+
+      // Progress is counted against the whole run, not per worker
+      const progress = { entry, worker, position, total: queue.total };
+      const status = (message) =>
+        this.emit("promptStatus", { ...progress, message });
+
+      this.emit("promptStart", { ...progress, aspectRatio: aspect, seed });
+      if (this.journal) await this.journal.markStarted(entry.runIndex);
+
+      let success = false;
+      let noUsableTokens = false;
+      let interrupted = false;
+      let attempts = 0;
+      const maxAttempts = this.clients.length > 0 ? this.clients.length : 1;
+      let promptHadApiError = false; // Track if this prompt had a 429/401 error
+
+      while (!success && attempts < maxAttempts) {
+        // Get a client for this attempt, waiting if every token is cooling down
+        const client = await this.waitForClient((until) => {
+          status(
+            `All tokens cooling down, waiting ${Math.ceil((until - Date.now()) / 1000)}s...`,
+          );
+        }, signal);
+
+        if (signal.aborted) {
+          interrupted = true;
+          break;
+        }
+
+        if (!client) {
+          noUsableTokens = true;
+          await this.recordPromptFailure(results, progress, "no-tokens", {
+            attempts,
+            error: "No valid tokens available",
+          });
+          break;
+        }
+
+        if (attempts > 0) {
+          status(
+            `Retrying with token "${client.name}"... (${attempts + 1}/${maxAttempts})`,
+          );
+        }
+
+        try {
+          if (attempts === 0) {
+            status(`Generating with token "${client.name}"...`);
+          }
+
+          // generateImage fills in projectId and defaults, which end up in the metadata
+          let request = {
+            prompt: prompt,
+            aspectRatio: aspectRatio,
+            seed: seed,
+            imageModel: entry.imageModel,
+          };
+          const result = await client.generateImage(request, { signal });
+
+          status(`Response received from token "${client.name}"`);
+
+          // Shutting down: leave the prompt pending in the journal for a resume
+          if (result.Err instanceof CancelledError) {
+            interrupted = true;
+            break;
+          }
+
+          if (result.Err) {
+            attempts++;
+            client.recordFailure(result.Err);
+
+            // Bad requests and safety blocks fail the same way on every token
+            const failsOnEveryToken = result.Err instanceof BadRequestError;
+            if (failsOnEveryToken) attempts = maxAttempts;
+
+            if (
+              result.Err instanceof RateLimitError ||
+              result.Err instanceof AuthError
+            ) {
+              status(
+                `${result.Err.name} (${result.Err.status ?? "no status"})`,
+              );
+              promptHadApiError = true;
+            }
+
+            if (attempts >= maxAttempts) {
+              await this.recordPromptFailure(
+                results,
+                progress,
+                failsOnEveryToken ? "rejected" : "all-tokens-attempted",
+                {
+                  attempts,
+                  token: client.name,
+                  ...getErrorFields(result.Err),
+                },
+                result.Err,
+              );
+            } else {
+              status(
+                `Retrying with different token... (${attempts + 1}/${maxAttempts})`,
+              );
+            }
+            continue;
+          }
+
+          client.recordSuccess();
+          const imagePanel = result.Ok?.imagePanels;
+          if (!imagePanel || imagePanel.length === 0) {
+            attempts++;
+            if (attempts >= maxAttempts) {
+              await this.recordPromptFailure(results, progress, "no-images", {
+                attempts,
+                token: client.name,
+                error: "No images generated",
+              });
+            } else {
+              status(
+                `No images returned, retrying... (${attempts + 1}/${maxAttempts})`,
+              );
+            }
+            continue;
+          }
+
+          let savedCount = 0;
+          const savedPaths = [];
+          const savedDerivatives = [];
+          const wantedImages = entry.images ?? Infinity;
+          let generatedImages = imagePanel.flatMap(
+            (panel) => panel.generatedImages || [],
+          );
+          let response = result.Ok;
+          // Extra requests repeat the first one with the next seed; file names
+          // stay tied to the entry's seed and the image index
+          const firstRequest = request;
+          let imageClient = client; // The token that answered the current request
+          let extraFailure = null;
+
+          while (savedCount < wantedImages && generatedImages.length > 0) {
+            for (const image of generatedImages.slice(
+              0,
+              wantedImages - savedCount,
+            )) {
+              // Per-prompt fileName wins over the configured output template
+              const fileName = (ext) =>
+                this.getImageFileName({
+                  runId: this.journal?.runId ?? "",
+                  entry,
+                  seed: firstRequest.seed,
+                  aspectDisplay,
+                  model: firstRequest.imageModel,
+                  workerId,
+                  tokenName: imageClient.name,
+                  index: savedCount + 1,
+                  ext,
+                });
+
+              status(`Saving image ${savedCount + 1}...`);
+
+              const { filePath, derivatives, size } = await this.saveImage(
+                image.encodedImage,
+                fileName,
+                this.buildImageMetadata({
+                  entry,
+                  request,
+                  image,
+                  response,
+                  client: imageClient,
+                }),
+              );
+              results.images.push(filePath);
+              savedPaths.push(filePath);
+              savedDerivatives.push(...derivatives);
+              savedCount++;
+              this.emit("imageSaved", {
+                ...progress,
+                token: imageClient.name,
+                index: savedCount,
+                filePath,
+                derivatives,
+                size,
+              });
+            }
+
+            // Entries asking for more images than one response holds get extra requests
+            if (entry.images === undefined || savedCount >= wantedImages) break;
+            status(`Requesting more images (${savedCount}/${wantedImages})...`);
+            const extra = await this.requestMoreImages(
+              {
+                ...firstRequest,
+                seed: request.seed + 1,
+                projectId: undefined,
+              },
+              progress,
+              status,
+              signal,
+            );
+            if (extra.cancelled) {
+              interrupted = true;
+              break;
+            }
+            if (extra.failure) {
+              extraFailure = extra.failure;
+              break;
+            }
+            ({ client: imageClient, request, response } = extra);
+            generatedImages = response.imagePanels.flatMap(
+              (panel) => panel.generatedImages || [],
+            );
+          }
+
+          // Shutting down: saved images stay, the prompt stays pending for a resume
+          if (interrupted) break;
+
+          // Every token failed the extra request: the prompt fails, and its
+          // saved images stay on disk
+          if (extraFailure) {
+            const { kind, error, attempts: tried, token } = extraFailure;
+            if (error instanceof RateLimitError || error instanceof AuthError) {
+              promptHadApiError = true;
+            }
+            if (kind === "no-tokens") noUsableTokens = true;
+            await this.recordPromptFailure(
+              results,
+              progress,
+              kind,
+              {
+                attempts: attempts + tried,
+                token,
+                ...(error
+                  ? getErrorFields(error)
+                  : {
+                      error:
+                        kind === "no-tokens"
+                          ? "No valid tokens available"
+                          : "No images generated",
+                    }),
+              },
+              error,
+            );
+            break;
+          }
+
+          if (savedCount < wantedImages && entry.images !== undefined) {
+            this.emit("warning", {
+              worker,
+              message: `Only ${savedCount}/${wantedImages} requested images were generated`,
+            });
+          }
+
+          if (this.journal) {
+            await this.journal.markDone(entry.runIndex, savedPaths);
+          }
+
+          // Optionally remove this prompt from the file after successful generation
+          // (YAML entries have no single source line, so they stay in the file)
+          const removed =
+            this.config.removeCompletedPrompts &&
+            this.config.promptFile &&
+            entry.sourceLine &&
+            this.completeSourceLine(entry)
+              ? await this.removePromptFromFile(
+                  this.config.promptFile,
+                  entry.sourceLine,
+                )
+              : false;
+
+          results.success += savedCount;
+          results.completedPrompts.push(entry);
+          this.emit("promptDone", {
+            ...progress,
+            token: client.name,
+            aspectRatio: aspect,
+            paths: savedPaths,
+            derivatives: savedDerivatives,
+            removed,
+          });
+          success = true;
+          // This prompt was successful, reset flag
+          promptHadApiError = false;
+        } catch (error) {
+          attempts++;
+
+          if (error instanceof RateLimitError || error instanceof AuthError) {
+            status(`${error.name} (${error.status ?? "no status"})`);
+            promptHadApiError = true;
+          }
+
+          if (attempts >= maxAttempts) {
+            await this.recordPromptFailure(
+              results,
+              progress,
+              "all-tokens-failed",
+              { attempts, token: client.name, ...getErrorFields(error) },
+              error,
+            );
+          } else {
+            status(
+              `Network error, retrying... (${attempts + 1}/${maxAttempts})`,
+            );
+          }
+        }
+      }
+
+      if (interrupted) return stopWorker("interrupted", progress);
+
+      // Every token is revoked, so leave the rest of the queue untouched
+      if (noUsableTokens) {
+        results.stoppedByApiErrors = true;
+        return stopWorker("no-tokens", progress);
+      }
+
+      if (promptHadApiError) {
+        consecutivePromptErrors++;
+        this.emit("warning", {
+          worker,
+          message: `${consecutivePromptErrors}/${MAX_CONSECUTIVE_PROMPT_ERRORS} consecutive prompts with API errors (429/401)`,
+        });
+
+        // Unstarted prompts stay in the shared queue for the other workers
+        if (consecutivePromptErrors >= MAX_CONSECUTIVE_PROMPT_ERRORS) {
+          results.stoppedByApiErrors = true;
+          return stopWorker("api-errors", progress);
+        }
+      } else {
+        consecutivePromptErrors = 0;
+      }
+
+      // Add delay between requests for same worker to be respectful to the API
+      if (queue.size > 0) {
+        this.emit("waiting", { ...progress, ms: this.config.requestDelay });
+        await sleep(this.config.requestDelay, signal);
+      }
+    }
+
+    return stopWorker("finished");
+  }
+
+  // One extra request for an entry that wants more images than a response
+  // holds. It is paced and rotated over the tokens like any other request and
+  // moves on to the next token when one fails. Resolves with
+  // { client, request, response }, { cancelled: true } on shutdown, or
+  // { failure: { kind, error, attempts, token } } when no token delivered.
+  async requestMoreImages(request, progress, status, signal) {
+    const maxAttempts = this.clients.length > 0 ? this.clients.length : 1;
+    let attempts = 0;
+    let lastError = null;
+    let client = null;
+
+    while (attempts < maxAttempts) {
+      this.emit("waiting", { ...progress, ms: this.config.requestDelay });
+      await sleep(this.config.requestDelay, signal);
+      client = await this.waitForClient((until) => {
+        status(
+          `All tokens cooling down, waiting ${Math.ceil((until - Date.now()) / 1000)}s...`,
+        );
+      }, signal);
+      if (signal.aborted) return { cancelled: true };
+      if (!client) {
+        return {
+          failure: {
+            kind: "no-tokens",
+            error: lastError,
+            attempts,
+            token: null,
+          },
+        };
+      }
+
+      const attempt = { ...request };
+      const result = await client.generateImage(attempt, { signal });
+      if (result.Err instanceof CancelledError) return { cancelled: true };
+
+      attempts++;
+      if (result.Err) {
+        client.recordFailure(result.Err);
+        lastError = result.Err;
+        status(
+          `${result.Err.name} (${result.Err.status ?? "no status"}) on extra request`,
+        );
+        // Bad requests and safety blocks fail the same way on every token
+        if (result.Err instanceof BadRequestError) {
+          return {
+            failure: {
+              kind: "rejected",
+              error: result.Err,
+              attempts,
+              token: client.name,
+            },
+          };
+        }
+        continue;
+      }
+
+      client.recordSuccess();
+      if (!result.Ok?.imagePanels?.length) {
+        lastError = null;
+        continue;
+      }
+      return { client, request: attempt, response: result.Ok };
+    }
+
+    return {
+      failure: {
+        kind: lastError ? "all-tokens-attempted" : "no-images",
+        error: lastError,
+        attempts,
+        token: client?.name ?? null,
+      },
+    };
+  }
+
+  // failedPrompts holds { entry, worker, attempts, token, error, ... } records.
+  // kind tells how the prompt failed, error is the last Error if there was one.
+  async recordPromptFailure(results, progress, kind, details, error = null) {
+    const failure = {
+      entry: progress.entry,
+      worker: progress.worker,
+      ...details,
+    };
+    results.failed++;
+    results.failedPrompts.push(failure);
+    this.emit("promptFailed", { ...progress, kind, error, failure });
+    if (this.journal) {
+      await this.journal.markFailed(progress.entry.runIndex, failure.error);
+    }
+  }
+
+  // Round-robin over the tokens that are not cooling down or revoked
+  getNextClient() {
+    const now = Date.now();
+    for (let i = 0; i < this.clients.length; i++) {
+      const index = (this.currentTokenIndex + i) % this.clients.length;
+      const client = this.clients[index];
+      if (!client.isAvailable(now)) continue;
+
+      this.currentTokenIndex = (index + 1) % this.clients.length;
+
+      // Ensure the client has a name property
+      if (!client.name) {
+        client.name = `Token ${index + 1}`;
+      }
+
+      return client;
+    }
+    return null;
+  }
+
+  // Like getNextClient, but waits out cooldowns. Null when every token is
+  // revoked or the signal aborted the wait.
+  async waitForClient(onWait, signal) {
+    while (!signal?.aborted) {
+      const client = this.getNextClient();
+      if (client) return client;
+
+      const cooling = this.clients.filter((c) => c.getState() === "cooling");
+      if (cooling.length === 0) return null;
+
+      const until = Math.min(...cooling.map((c) => c.health.coolingUntil));
+      onWait?.(until);
+      await sleep(Math.max(100, until - Date.now()), signal);
+    }
+    return null;
+  }
+
+  // True when entry was the last unfinished one made from its prompt file line
+  completeSourceLine(entry) {
+    const key = `${entry.line}:${entry.sourceLine}`;
+    const pending = (this.pendingSourceLines.get(key) ?? 1) - 1;
+    this.pendingSourceLines.set(key, pending);
+    return pending <= 0;
+  }
+
+  // Workers remove prompts concurrently, so rewrites are serialised and atomic
+  // (temp file + rename); an interrupted run never leaves a truncated file
+  removePromptFromFile(filePath, promptToRemove) {
+    const removal = this.promptFileWriteChain.then(() =>
+      this.rewritePromptFile(filePath, promptToRemove),
+    );
+    this.promptFileWriteChain = removal;
+    return removal;
+  }
+
+  async rewritePromptFile(filePath, promptToRemove) {
+    try {
+      const content = await fs.readFile(filePath, "utf-8");
+      const lines = content.split("\n");
+      // Only drop the first match so duplicate prompts each keep their own line
+      const lineIndex = lines.findIndex(
+        (line) =>
+          line.trim() === promptToRemove.trim() && !line.startsWith("#"),
+      );
+      if (lineIndex === -1) return false;
+      lines.splice(lineIndex, 1);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, lines.join("\n"));
+      await fs.rename(tempPath, filePath);
+      return true;
+    } catch (error) {
+      this.emit("warning", {
+        message: `Could not remove prompt from file: ${error.message}`,
+      });
+      return false;
+    }
+  }
+
+  // Per-prompt aspect ratio wins over the settings; random mode picks one per prompt
+  resolveEntryAspectRatio(entry) {
+    if (entry.aspectRatio) return resolveAspectRatio(entry.aspectRatio);
+    if (this.config.randomAspectRatio) return getRandomAspectRatio();
+    return {
+      code: this.config.aspectRatio,
+      display: this.config.aspectRatioDisplay,
+    };
+  }
+
+  // Name of one saved image, relative to the output directory. A per-prompt
+  // fileName wins over the configured output template, and sweep variants of
+  // one prompt share a folder, named after the varied settings.
+  getImageFileName({
+    runId,
+    entry,
+    seed,
+    aspectDisplay,
+    model,
+    workerId,
+    tokenName,
+    index,
+    ext,
+  }) {
+    if (entry.fileName) {
+      return `${entry.fileName}${index > 1 ? `_${index}` : ""}.${ext}`;
+    }
+    if (entry.sweep) {
+      const ratio = (aspectDisplay.match(/\((\d+):(\d+)\)/) || [])
+        .slice(1)
+        .join("x");
+      return path.join(
+        runId || "sweep",
+        entry.sweep.group,
+        `${ratio}_${model ?? DEFAULT_IMAGE_MODEL}_s${seed}_${index}.${ext}`,
+      );
+    }
+    return this.renderOutputPath({
+      runId,
+      prompt: entry.prompt,
+      line: entry.line ?? "",
+      id: entry.id ?? entry.line ?? "",
+      seed,
+      aspect: aspectDisplay.split(" ")[0], // e.g., "landscape", "portrait", "square"
+      ratio: (aspectDisplay.match(/\((\d+):(\d+)\)/) || []).slice(1).join("x"),
+      model,
+      worker: (workerId + 1).toString().padStart(2, "0"),
+      token: tokenName,
+      index,
+      ext,
+    });
+  }
+
+  // Renders config.outputTemplate into a path relative to the output directory
+  renderOutputPath(values) {
+    const slugify = (text) =>
+      String(text)
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 50)
+        .replace(/-+$/, "") || "prompt";
+
+    const now = new Date();
+    const tokens = {
+      date: now.toISOString().slice(0, 10),
+      time: now.toISOString().slice(11, 19).replace(/:/g, "-"),
+      timestamp: now.getTime(),
+      promptSlug: slugify(values.prompt),
+      ...values,
+    };
+
+    return this.config.outputTemplate.replace(/\{([^}]*)\}/g, (match, key) =>
+      // Values must not introduce extra folders (or "." / ".." segments) or odd characters
+      String(tokens[key] ?? "")
+        .replace(/[\\/:*?"<>|\s]+/g, "-")
+        .replace(/^\.+$/, (dots) => "_".repeat(dots.length)),
+    );
+  }
+
+  // fileName is a function of the extension, which is only known after encoding.
+  // Returns { filePath, derivatives, size } where derivatives are written next to it.
+  async saveImage(imageData, fileName, metadata = null) {
+    try {
+      let buffer = Buffer.from(imageData, "base64");
+      let derivatives = [];
+      if (this.config.postProcessing.length > 0) {
+        ({ buffer, derivatives } = await this.runPostProcessing(
+          buffer,
+          this.config.postProcessing,
+        ));
+      }
+
+      const { buffer: finalBuffer, ext } = await this.encodeImage(
+        buffer,
+        metadata,
+      );
+
+      // Whatever the template and prompt values, files stay in the output directory
+      const targetPath = path.join(this.config.outputDir, fileName(ext));
+      const relativePath = path.relative(this.config.outputDir, targetPath);
+      if (
+        relativePath.split(path.sep)[0] === ".." ||
+        path.isAbsolute(relativePath)
+      ) {
+        throw new Error(`${targetPath} is outside the output directory`);
+      }
+      const filePath = await this.writeUniqueFile(targetPath, finalBuffer);
+      const savedName = path.relative(this.config.outputDir, filePath);
+      const { dir, name } = path.parse(filePath);
+
+      // e.g. image_1.jpg -> image_1_thumb.jpg, image_1_1080p.jpg
+      const derivativePaths = [];
+      for (const derivative of derivatives) {
+        const encoded = await this.encodeImage(derivative.buffer, metadata);
+        derivativePaths.push(
+          await this.writeUniqueFile(
+            path.join(dir, `${name}${derivative.suffix}.${encoded.ext}`),
+            encoded.buffer,
+          ),
+        );
+      }
+
+      // Sidecar with the same base name, e.g. image_1.jpg -> image_1.json
+      if (metadata) {
+        await fs.writeFile(
+          path.join(dir, `${name}.json`),
+          JSON.stringify(
+            {
+              ...metadata,
+              file: savedName,
+              derivatives: derivativePaths.map((p) =>
+                path.relative(this.config.outputDir, p),
+              ),
+            },
+            null,
+            2,
+          ),
+        );
+      }
+
+      const { size } = await fs.stat(filePath);
+      return { filePath, derivatives: derivativePaths, size };
+    } catch (error) {
+      throw new Error(`Failed to save image: ${error.message}`);
+    }
+  }
+
+  // Never overwrites: "name.jpg" becomes "name_2.jpg", "name_3.jpg", ... if taken.
+  // The exclusive "wx" flag keeps this safe when several workers save at once.
+  async writeUniqueFile(filePath, data) {
+    const { dir, name, ext } = path.parse(filePath);
+    await fs.mkdir(dir, { recursive: true });
+
+    for (let n = 1; ; n++) {
+      const candidate =
+        n === 1 ? filePath : path.join(dir, `${name}_${n}${ext}`);
+      try {
+        await fs.writeFile(candidate, data, { flag: "wx" });
+        return candidate;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+    }
+  }
+
+  // Encodes into config.outputFormat and returns { buffer, ext }
+  async encodeImage(inputBuffer, metadata = null) {
+    const quality = this.config.compression;
+    const { effort, chromaSubsampling } = this.config.formatOptions;
+    const clampEffort = (min, max) => Math.min(max, Math.max(min, effort));
+
+    try {
+      let image = sharp(inputBuffer);
+      switch (this.config.outputFormat) {
+        case "jpeg":
+          image = image.jpeg({ quality, chromaSubsampling });
+          break;
+        case "png":
+          image = image.png({ effort: clampEffort(1, 10) });
+          break;
+        case "webp":
+          image = image.webp({ quality, effort: clampEffort(0, 6) });
+          break;
+        case "webp-lossless":
+          image = image.webp({ lossless: true, effort: clampEffort(0, 6) });
+          break;
+        case "avif":
+          image = image.avif({
+            quality,
+            effort: clampEffort(0, 9),
+            chromaSubsampling,
+          });
+          break;
+        default: {
+          // Original: untouched bytes, unless metadata has to be embedded. Then
+          // PNG stays lossless and JPEG is re-encoded at full quality
+          if (!metadata) {
+            return {
+              buffer: inputBuffer,
+              ext: detectImageExtension(inputBuffer),
+            };
+          }
+          const { format } = await image.metadata();
+          if (format === "jpeg") image = image.jpeg({ quality: 100 });
+        }
+      }
+
+      const buffer = await this.withImageMetadata(image, metadata).toBuffer();
+      return { buffer, ext: detectImageExtension(buffer) };
+    } catch (error) {
+      this.emit("warning", {
+        message: `Could not encode image: ${error.message}`,
+      });
+      return {
+        buffer: inputBuffer,
+        ext: detectImageExtension(inputBuffer),
+      };
+    }
+  }
+
+  // Runs the configured steps in order on a decoded image. "derivative" steps
+  // branch off a copy with their own steps and never change the main image.
+  // Intermediate images are kept as lossless PNG until the final encode.
+  async runPostProcessing(buffer, steps) {
+    const derivatives = [];
+
+    for (const step of steps) {
+      switch (step.type) {
+        case "resize":
+          buffer = await sharp(buffer)
+            .resize({
+              width: step.width,
+              height: step.height,
+              fit: step.fit || "inside",
+              withoutEnlargement: !step.enlarge,
+            })
+            .png({ compressionLevel: 0 })
+            .toBuffer();
+          break;
+        case "crop":
+          buffer = await sharp(buffer)
+            .resize({
+              width: step.width,
+              height: step.height,
+              fit: "cover",
+              position: "centre",
+            })
+            .png({ compressionLevel: 0 })
+            .toBuffer();
+          break;
+        case "watermark":
+          buffer = await this.applyWatermark(buffer, step);
+          break;
+        case "derivative": {
+          const result = await this.runPostProcessing(buffer, step.steps || []);
+          derivatives.push(
+            { suffix: step.suffix, buffer: result.buffer },
+            ...result.derivatives.map((d) => ({
+              ...d,
+              suffix: `${step.suffix}${d.suffix}`,
+            })),
+          );
+          break;
+        }
+      }
+    }
+
+    return { buffer, derivatives };
+  }
+
+  async applyWatermark(buffer, step) {
+    const { width, height } = await sharp(buffer).metadata();
+    const margin = step.margin ?? 16;
+    const opacity = step.opacity ?? 0.5;
+
+    let overlay;
+    if (step.image) {
+      overlay = await sharp(step.image)
+        .resize({ width: Math.round(width * (step.scale ?? 0.2)) })
+        .ensureAlpha()
+        // Scale the logo's alpha channel by the requested opacity
+        .composite([
+          {
+            input: Buffer.from([0, 0, 0, Math.round(255 * opacity)]),
+            raw: { width: 1, height: 1, channels: 4 },
+            tile: true,
+            blend: "dest-in",
+          },
+        ])
+        .png()
+        .toBuffer();
+    } else {
+      const fontSize = step.fontSize ?? Math.max(12, Math.round(width * 0.03));
+      const text = step.text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+      const svgWidth = Math.ceil(step.text.length * fontSize * 0.6);
+      const svgHeight = Math.ceil(fontSize * 1.3);
+      overlay = Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}">` +
+          `<text x="0" y="${fontSize}" font-family="sans-serif" font-size="${fontSize}" fill="white" fill-opacity="${opacity}">${text}</text></svg>`,
+      );
+    }
+
+    // Keep the overlay inside the image, then pad it to get the margin
+    overlay = await sharp(overlay)
+      .resize({
+        width: Math.max(1, width - 2 * margin),
+        height: Math.max(1, height - 2 * margin),
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .extend({
+        top: margin,
+        bottom: margin,
+        left: margin,
+        right: margin,
+        background: { r: 0, g: 0, b: 0, alpha: 0 },
+      })
+      .png()
+      .toBuffer();
+
+    return sharp(buffer)
+      .composite([{ input: overlay, gravity: step.gravity || "southeast" }])
+      .png({ compressionLevel: 0 })
+      .toBuffer();
+  }
+
+  withImageMetadata(pipeline, metadata) {
+    if (!metadata) return pipeline;
+    return pipeline
+      .withExif({
+        IFD0: {
+          ImageDescription: metadata.prompt,
+          Software: "Whisk AI Image Generator",
+          DateTime: metadata.createdAt
+            .replace("T", " ")
+            .replace(/-/g, ":")
+            .slice(0, 19),
+        },
+      })
+      .withXmp(this.buildXmpPacket(metadata));
+  }
+
+  buildXmpPacket(metadata) {
+    const escapeXml = (value) =>
+      String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+    // Every field goes into the whisk: namespace, the prompt also into dc:description.
+    // API ids are prefixed so e.g. the response workflowId can't clash with ours
+    const { apiIds, ...fields } = metadata;
+    for (const [key, value] of Object.entries(apiIds || {})) {
+      fields[`response${key[0].toUpperCase()}${key.slice(1)}`] = value;
+    }
+    const whiskFields = Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(
+        ([key, value]) => `   <whisk:${key}>${escapeXml(value)}</whisk:${key}>`,
+      )
+      .join("\n");
+
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:whisk="https://github.com/mumtazdedi/whisk-generator/xmp/1.0/">
+   <dc:description>
+    <rdf:Alt>
+     <rdf:li xml:lang="x-default">${escapeXml(metadata.prompt)}</rdf:li>
+    </rdf:Alt>
+   </dc:description>
+   <xmp:CreateDate>${escapeXml(metadata.createdAt)}</xmp:CreateDate>
+   <xmp:CreatorTool>Whisk AI Image Generator</xmp:CreatorTool>
+${whiskFields}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+  }
+
+  // Describes how an image was produced; never contains the token itself
+  buildImageMetadata({ entry, request, image, response, client }) {
+    // Keep every *Id string the API returned, e.g. mediaGenerationId
+    const collectIds = (source) =>
+      Object.fromEntries(
+        Object.entries(source || {}).filter(
+          ([key, value]) => /Id$/.test(key) && typeof value === "string",
+        ),
+      );
+
+    return {
+      prompt: entry.prompt,
+      id: entry.id,
+      seed: image.seed ?? request.seed,
+      imageModel: image.imageModel ?? request.imageModel,
+      aspectRatio: request.aspectRatio,
+      tokenName: client.name,
+      workflowId: request.projectId,
+      apiIds: { ...collectIds(response), ...collectIds(image) },
+      ...(entry.sweep && { sweep: entry.sweep }),
+      createdAt: new Date().toISOString(),
+    };
+  }
+}
+
+export {
+  Generator,
+  WhiskClient,
+  MockWhiskBackend,
+  RunJournal,
+  WorkQueue,
+  PromptTemplate,
+  WhiskError,
+  RateLimitError,
+  AuthError,
+  BadRequestError,
+  SafetyBlockedError,
+  NetworkError,
+  ParseError,
+  CancelledError,
+  ASPECT_RATIO_OPTIONS,
+  OUTPUT_FORMATS,
+  OUTPUT_TEMPLATE_TOKENS,
+  GENERATOR_DEFAULTS,
+  DEFAULT_API_BASE_URL,
+  DEFAULT_IMAGE_MODEL,
+  DEFAULT_RETRY_POLICY,
+  HTTP_TRANSPORT,
+  TOKEN_COOLDOWN,
+  detectImageExtension,
+  getErrorFields,
+  getRandomAspectRatio,
+  resolveAspectRatio,
+  validateOutputTemplate,
+  sleep,
+};
@@ -0,0 +1,234 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs/promises";
+import * as os from "os";
+import * as path from "path";
+import { Generator, MockWhiskBackend, RunJournal } from "../lib/index.js";
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "whisk-generator-"));
+});
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// "[mock:500]" or "[mock:401]" in a prompt makes the mock fail that request
+const createGenerator = (
+  config = {},
+  fetch = new MockWhiskBackend({ latencyMs: 0 }).fetch,
+) =>
+  new Generator({
+    tokens: ["first", "second"],
+    transport: { baseUrl: "http://mock", fetch },
+    config: {
+      outputDir: path.join(dir, "out"),
+      requestDelay: 0,
+      retry: { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 0, timeoutMs: 5000 },
+      ...config,
+    },
+  });
+
+test("run saves every image of every prompt", async () => {
+  const generator = createGenerator({ outputTemplate: "{id}_{index}.{ext}" });
+  const saved = [];
+  generator.on("imageSaved", ({ filePath }) => saved.push(filePath));
+
+  const results = await generator.run([
+    { prompt: "a red fox", id: "fox" },
+    { prompt: "an owl", id: "owl" },
+  ]);
+
+  assert.equal(results.succeeded, 4);
+  assert.equal(results.completedPrompts.length, 2);
+  assert.equal(results.failed, 0);
+  assert.equal(results.rateLimited, false);
+  assert.deepEqual(results.images.map((file) => path.basename(file)).sort(), [
+    "fox_1.jpg",
+    "fox_2.jpg",
+    "owl_1.jpg",
+    "owl_2.jpg",
+  ]);
+  assert.deepEqual(saved.sort(), [...results.images].sort());
+});
+
+test("extra requests for more images rotate tokens and wait", async () => {
+  const generator = createGenerator({ requestDelay: 10 });
+  const tokens = [];
+  let waits = 0;
+  generator.on("imageSaved", ({ token }) => tokens.push(token));
+  generator.on("waiting", () => waits++);
+
+  const results = await generator.run([{ prompt: "a cat", images: 5 }]);
+
+  assert.equal(results.succeeded, 5);
+  assert.deepEqual(tokens, [
+    "Token 1",
+    "Token 1",
+    "Token 2",
+    "Token 2",
+    "Token 1",
+  ]);
+  assert.equal(waits, 2);
+});
+
+// Records the generate requests; the ones after the first get a 429
+const createRateLimitedFetch = (requests) => {
+  const mock = new MockWhiskBackend({ latencyMs: 0 });
+  return async (url, init) => {
+    if (init?.body) requests.push(JSON.parse(init.body));
+    if (requests.length > 1) {
+      return new Response(
+        JSON.stringify({
+          error: { code: 429, message: "busy", status: "RESOURCE_EXHAUSTED" },
+        }),
+        { status: 429, headers: { "Content-Type": "application/json" } },
+      );
+    }
+    return mock.fetch(url, init);
+  };
+};
+
+test("extra requests keep the model and name files by the entry's seed", async () => {
+  const requests = [];
+  const mock = new MockWhiskBackend({ latencyMs: 0 });
+  const generator = createGenerator(
+    { outputTemplate: "{seed}_{index}.{ext}" },
+    (url, init) => {
+      if (init?.body) requests.push(JSON.parse(init.body));
+      return mock.fetch(url, init);
+    },
+  );
+
+  const results = await generator.run([
+    { prompt: "a cat", seed: 5, images: 3 },
+  ]);
+
+  assert.deepEqual(
+    results.images.map((file) => path.basename(file)),
+    ["5_1.jpg", "5_2.jpg", "5_3.jpg"],
+  );
+  assert.deepEqual(
+    requests.map((request) => request.seed),
+    [5, 6],
+  );
+  assert.equal(
+    requests[1].imageModelSettings.imageModel,
+    requests[0].imageModelSettings.imageModel,
+  );
+});
+
+test("a failed extra request cools the token down and fails the prompt", async () => {
+  const generator = createGenerator({}, createRateLimitedFetch([]));
+  const results = await generator.run([{ prompt: "a cat", images: 3 }]);
+
+  // The images of the first response stay on disk
+  assert.equal(results.images.length, 2);
+  assert.equal(results.failed, 1);
+  assert.equal(results.completedPrompts.length, 0);
+  assert.equal(results.failedPrompts[0].errorType, "RateLimitError");
+  assert.deepEqual(
+    generator.clients.map((client) => client.getState()),
+    ["cooling", "cooling"],
+  );
+});
+
+test("an empty run is not rate-limited", async () => {
+  const results = await createGenerator().run([]);
+  assert.equal(results.succeeded, 0);
+  assert.equal(results.rateLimited, false);
+});
+
+test("run reports rateLimited when every worker stopped on 401s", async () => {
+  const results = await createGenerator().run(
+    ["a", "b", "c", "d"].map((prompt) => `${prompt} [mock:401]`),
+  );
+  assert.equal(results.rateLimited, true);
+  assert.equal(results.failed, 4);
+  assert.equal(results.failedPrompts[0].errorType, "AuthError");
+  assert.equal(results.failedPrompts[0].status, 401);
+});
+
+test("run rejects while another run is in progress", async () => {
+  const generator = createGenerator();
+  const first = generator.run(["a cat"]);
+  await assert.rejects(generator.run(["a dog"]), /already/);
+  await first;
+});
+
+test("prompt ids cannot write outside the output directory", async () => {
+  const generator = createGenerator({ outputTemplate: "{id}/{id}.{ext}" });
+  const results = await generator.run([{ prompt: "a cat", id: ".." }]);
+  assert.equal(results.succeeded, 2);
+  for (const file of results.images) {
+    assert.ok(!path.relative(path.join(dir, "out"), file).startsWith(".."));
+  }
+});
+
+test("a prompt file line is removed once all its prompts are done", async () => {
+  const promptFile = path.join(dir, "prompts.txt");
+  await fs.writeFile(promptFile, "a {fox|owl}\nthe {sea|sky}\n");
+  const generator = createGenerator({
+    promptFile,
+    removeCompletedPrompts: true,
+  });
+
+  // As expanded from a template: one failure keeps the second line
+  const fromLine = (line, sourceLine, prompts) =>
+    prompts.map((prompt) => ({ prompt, line, sourceLine }));
+  await generator.run([
+    ...fromLine(1, "a {fox|owl}", ["a fox", "a owl"]),
+    ...fromLine(2, "the {sea|sky}", ["the sea", "the sky [mock:500]"]),
+  ]);
+
+  assert.equal(await fs.readFile(promptFile, "utf-8"), "the {sea|sky}\n");
+});
+
+test("run records each prompt in the run journal", async () => {
+  const entries = [{ prompt: "a cat" }, { prompt: "a dog [mock:500]" }];
+  const journal = await RunJournal.create(path.join(dir, "journal"), entries);
+  await createGenerator().run(journal.getUnfinishedEntries(), { journal });
+
+  assert.deepEqual(journal.getCounts(), {
+    pending: 0,
+    "in-progress": 0,
+    done: 1,
+    failed: 1,
+  });
+  assert.deepEqual(
+    (await RunJournal.loadLatest(path.join(dir, "journal"))).getCounts(),
+    journal.getCounts(),
+  );
+});
+
+test("a worker error stops the other workers before run rejects", async () => {
+  const generator = createGenerator({ workers: 2 });
+  let saved = 0;
+  generator.on("imageSaved", () => saved++);
+  let started = 0;
+  const journal = {
+    runId: "run_test",
+    markStarted: async () => {
+      if (++started === 3) throw new Error("disk full");
+    },
+    markFailed: async () => {},
+    markDone: async () => {},
+  };
+
+  await assert.rejects(
+    generator.run(["a", "b", "c", "d", "e", "f"], { journal }),
+    /disk full/,
+  );
+  const savedWhenRejected = saved;
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(saved, savedWhenRejected);
+  assert.equal(generator.running, false);
+});
+
+test("MockWhiskBackend.parseFailures reads failure rates", () => {
+  assert.deepEqual(MockWhiskBackend.parseFailures("429=0.1,500=0.05"), {
+    429: 0.1,
+    500: 0.05,
+  });
+  assert.throws(() => MockWhiskBackend.parseFailures("418=1"));
+});
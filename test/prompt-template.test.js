@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs/promises";
+import * as os from "os";
+import * as path from "path";
+import { PromptTemplate } from "../lib/index.js";
+
+test("parse splits text into literals and choice groups", () => {
+  const nodes = new PromptTemplate().parse("a {red|3::blue} fox");
+  assert.deepEqual(nodes, [
+    "a ",
+    {
+      options: [
+        { weight: 1, nodes: ["red"] },
+        { weight: 3, nodes: ["blue"] },
+      ],
+    },
+    " fox",
+  ]);
+});
+
+test("parse keeps escaped braces literal", () => {
+  assert.deepEqual(new PromptTemplate().parse("a \\{b\\} c"), ["a {b} c"]);
+});
+
+test("parse rejects unbalanced braces", () => {
+  const template = new PromptTemplate();
+  assert.throws(() => template.parse("a {red|blue"), /Unclosed "{"/);
+  assert.throws(() => template.parse("a } b"), /Unexpected "}"/);
+  assert.throws(() => template.parse("a ${name"), /Unclosed "\$\{"/);
+});
+
+test("parse resolves variables, list values becoming choices", () => {
+  const template = new PromptTemplate({
+    variables: { animal: ["fox", "owl"], style: "oil painting" },
+  });
+  assert.deepEqual(
+    PromptTemplate.expand(template.parse("${animal}, ${style}")),
+    ["fox, oil painting", "owl, oil painting"],
+  );
+  assert.throws(() => template.parse("${missing}"), /Unknown variable/);
+});
+
+test("parse rejects variables that refer to themselves", () => {
+  const template = new PromptTemplate({ variables: { a: "x ${a}" } });
+  assert.throws(() => template.parse("${a}"), /refers to itself/);
+});
+
+test("parse reads wildcard files next to the prompt file", async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "whisk-template-"));
+  try {
+    await fs.writeFile(
+      path.join(baseDir, "colors.txt"),
+      "# comment\nred\n\n2::blue\n",
+    );
+    const nodes = new PromptTemplate({ baseDir }).parse("{@colors} fox");
+    assert.deepEqual(nodes[0].options, [
+      { weight: 1, nodes: ["red"] },
+      { weight: 2, nodes: ["blue"] },
+    ]);
+    assert.throws(
+      () => new PromptTemplate({ baseDir }).parse("{@missing}"),
+      /Wildcard @missing: cannot read/,
+    );
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+});
+
+test("count multiplies the options of each group", () => {
+  const template = new PromptTemplate();
+  assert.equal(PromptTemplate.count(template.parse("plain")), 1);
+  assert.equal(PromptTemplate.count(template.parse("{a|b} {c|d|e}")), 6);
+  assert.equal(PromptTemplate.count(template.parse("{a|{b|c}}")), 3);
+});
+
+test("expand produces every combination in order", () => {
+  const nodes = new PromptTemplate().parse("{a|b}-{1|2}");
+  assert.deepEqual(PromptTemplate.expand(nodes), ["a-1", "a-2", "b-1", "b-2"]);
+});
+
+test("sample honours weights", () => {
+  const nodes = new PromptTemplate().parse("{1::red|3::blue}");
+  assert.equal(
+    PromptTemplate.sample(nodes, () => 0.2),
+    "red",
+  );
+  assert.equal(
+    PromptTemplate.sample(nodes, () => 0.3),
+    "blue",
+  );
+  assert.equal(
+    PromptTemplate.sample(nodes, () => 0.99),
+    "blue",
+  );
+});
+
+test("render collapses the spaces empty options leave", () => {
+  assert.deepEqual(new PromptTemplate().render("a {|big} fox"), [
+    "a fox",
+    "a big fox",
+  ]);
+});
+
+test("render samples the requested number of prompts", () => {
+  const prompts = new PromptTemplate().render("{a|b|c}", {
+    mode: "sample",
+    samples: 5,
+  });
+  assert.equal(prompts.length, 5);
+  assert.ok(prompts.every((prompt) => ["a", "b", "c"].includes(prompt)));
+});
+
+test("render refuses to expand past the limit", () => {
+  const template = new PromptTemplate();
+  assert.throws(
+    () => template.render("{a|b} {c|d}", { limit: 3 }),
+    /expands to 4 prompts, more than the limit of 3/,
+  );
+  assert.equal(template.render("{a|b} {c|d}", { limit: 4 }).length, 4);
+});
@@ -0,0 +1,54 @@
+// Type-checked by `npm run typecheck`, never run: keeps lib/index.d.ts usable
+import {
+  Generator,
+  MockWhiskBackend,
+  PromptTemplate,
+  RunJournal,
+  WhiskError,
+  getErrorFields,
+  validateOutputTemplate,
+  type GenerationResults,
+  type PromptEntry,
+} from "../lib/index.js";
+
+const generator = new Generator({
+  tokens: ["token", { name: "second", token: "token" }],
+  transport: {
+    baseUrl: "http://mock",
+    fetch: new MockWhiskBackend({ latencyMs: 0 }).fetch,
+  },
+  config: { outputDir: "out", workers: 2 },
+});
+
+generator.on("imageSaved", ({ filePath, worker, token }) => {
+  const described: string = `${filePath} ${worker} ${token}`;
+  void described;
+});
+generator.on("promptFailed", ({ kind, failure }) => {
+  const reason: string | undefined = failure.reason;
+  void [kind, reason];
+});
+generator.on("done", (results: GenerationResults) => {
+  const rateLimited: boolean = results.rateLimited;
+  void rateLimited;
+});
+
+const entries: PromptEntry[] = [
+  { prompt: "a red fox", id: "fox", seed: 1, images: 2 },
+];
+const journal = await RunJournal.create(".whisk-run", entries);
+const results = await generator.run(journal.getUnfinishedEntries(), {
+  journal,
+});
+const saved: string[] = results.images;
+generator.setWorkers(3);
+generator.stop();
+
+const template = new PromptTemplate({ variables: { animal: ["fox", "owl"] } });
+const prompts: string[] = template.render("a ${animal}", { mode: "sample" });
+const count: number = PromptTemplate.count(template.parse("{a|b}"));
+
+const fields = getErrorFields(new WhiskError("failed", { status: 500 }));
+const templateError: string | null = validateOutputTemplate("{id}.{ext}");
+
+void [saved, prompts, count, fields, templateError];